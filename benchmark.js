@@ -0,0 +1,46 @@
+// ==========================
+// CubeModel benchmark: cost of a single-layer move, and of a 200-move scramble, for several sizes
+// Run with `node benchmark.js` (Node 20+), optionally with sizes: `node benchmark.js 3 10 20 50`
+// ==========================
+
+import { CubeModel, FACE_ORDER } from './cube-model.js';
+
+const sizes = process.argv.slice(2).map(Number).filter(n=>Number.isInteger(n) && n>0);
+const SIZES = sizes.length ? sizes : [3, 10, 20];
+
+// fixed pseudo-random move list, so every run turns the same layers
+function randomMoves(N, count){
+  let seed = 12345;
+  const next = ()=>(seed = (seed*1103515245 + 12345) % 2147483648) / 2147483648;
+  const moves = [];
+  for(let i=0;i<count;i++) moves.push({ face:FACE_ORDER[Math.floor(next()*6)], layer:Math.floor(next()*N), turns:[1,-1,2][Math.floor(next()*3)] });
+  return moves;
+}
+
+// mean milliseconds per call of fn over enough repetitions to take ~minMs
+function measure(fn, minMs=300){
+  fn();
+  let runs = 0;
+  const start = performance.now();
+  while(performance.now()-start<minMs){ fn(); runs++; }
+  return (performance.now()-start)/runs;
+}
+
+console.log('N'.padStart(4), 'per move (us)'.padStart(15), '200-move scramble (ms)'.padStart(24), 'with listener (ms)'.padStart(20));
+for(const N of SIZES){
+  const model = new CubeModel(N);
+  const moves = randomMoves(N, 1000);
+  // layer tables are built on first use and shared by all models of a size: build them before timing,
+  // so both columns measure moves only
+  new CubeModel(N).applyMoves(moves);
+  let i = 0;
+  const perMove = measure(()=>{ model.applyMove(moves[i++ % moves.length]); });
+  const scramble = moves.slice(0, 200);
+  const fresh = new CubeModel(N);
+  const scrambleMs = measure(()=>{ fresh.applyMoves(scramble); });
+  // a subscriber that reads the whole state, as a renderer without change information would
+  const watched = new CubeModel(N);
+  watched.subscribe(()=>watched.toFaceletString());
+  const watchedMs = measure(()=>{ watched.applyMoves(scramble); });
+  console.log(String(N).padStart(4), (perMove*1000).toFixed(2).padStart(15), scrambleMs.toFixed(3).padStart(24), watchedMs.toFixed(3).padStart(20));
+}
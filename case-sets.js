@@ -0,0 +1,152 @@
+// ==========================
+// 3x3 algorithm case sets for the trainer (trainer.js)
+// Each case is named by its usual number or letter and has one algorithm that solves it. The trainer
+// sets a case up by applying the inverse of the algorithm to a solved cube, so any algorithm that
+// reaches the set's goal is accepted, not only the one listed here.
+// goal: what the cube must show when the case is done
+//   f2l     first two layers solved (F2L cases are for the front-right slot)
+//   oll     first two layers solved and the U face one color
+//   solved  the whole cube solved, up to a turn of the U face
+// ==========================
+
+const cases = (prefix, algs)=>Object.entries(algs).map(([name, alg])=>({ name:prefix+name, alg }));
+
+export const CASE_SETS = {
+  oll: {
+    label: 'OLL (57)',
+    goal: 'oll',
+    cases: cases('OLL ', {
+      1: "R U2 R2 F R F' U2 R' F R F'",
+      2: "F R U R' U' F' f R U R' U' f'",
+      3: "f R U R' U' f' U' F R U R' U' F'",
+      4: "f R U R' U' f' U F R U R' U' F'",
+      5: "r' U2 R U R' U r",
+      6: "r U2 R' U' R U' r'",
+      7: "r U R' U R U2 r'",
+      8: "r' U' R U' R' U2 r",
+      9: "R U R' U' R' F R2 U R' U' F'",
+      10: "R U R' U R' F R F' R U2 R'",
+      11: "r U R' U R' F R F' R U2 r'",
+      12: "M' R' U' R U' R' U2 R U' R r'",
+      13: "F U R U' R2 F' R U R U' R'",
+      14: "R' F R U R' F' R F U' F'",
+      15: "r' U' r R' U' R U r' U r",
+      16: "r U r' R U R' U' r U' r'",
+      17: "F R' F' R2 r' U R U' R' U' M'",
+      18: "r U R' U R U2 r2 U' R U' R' U2 r",
+      19: "r' R U R U R' U' M' R' F R F'",
+      20: "r U R' U' M2 U R U' R' U' M'",
+      21: "R U2 R' U' R U R' U' R U' R'",
+      22: "R U2 R2 U' R2 U' R2 U2 R",
+      23: "R2 D' R U2 R' D R U2 R",
+      24: "r U R' U' r' F R F'",
+      25: "F' r U R' U' r' F R",
+      26: "R U2 R' U' R U' R'",
+      27: "R U R' U R U2 R'",
+      28: "r U R' U' r' R U R U' R'",
+      29: "R U R' U' R U' R' F' U' F R U R'",
+      30: "F R' F R2 U' R' U' R U R' F2",
+      31: "R' U' F U R U' R' F' R",
+      32: "L U F' U' L' U L F L'",
+      33: "R U R' U' R' F R F'",
+      34: "R U R2 U' R' F R U R U' F'",
+      35: "R U2 R2 F R F' R U2 R'",
+      36: "L' U' L U' L' U L U L F' L' F",
+      37: "F R' F' R U R U' R'",
+      38: "R U R' U R U' R' U' R' F R F'",
+      39: "L F' L' U' L U F U' L'",
+      40: "R' F R U R' U' F' U R",
+      41: "R U R' U R U2 R' F R U R' U' F'",
+      42: "R' U' R U' R' U2 R F R U R' U' F'",
+      43: "F' U' L' U L F",
+      44: "F U R U' R' F'",
+      45: "F R U R' U' F'",
+      46: "R' U' R' F R F' U R",
+      47: "R' U' R' F R F' R' F R F' U R",
+      48: "F R U R' U' R U R' U' F'",
+      49: "r U' r2 U r2 U r2 U' r",
+      50: "r' U r2 U' r2 U' r2 U r'",
+      51: "F U R U' R' U R U' R' F'",
+      52: "R U R' U R U' B U' B' R'",
+      53: "r' U' R U' R' U R U' R' U2 r",
+      54: "r U R' U R U' R' U R U2 r'",
+      55: "R' F R U R U' R2 F' R2 U' R' U R U R'",
+      56: "r' U' r U' R' U R U' R' U R r' U r",
+      57: "R U R' U' M' U R U' r'"
+    })
+  },
+  pll: {
+    label: 'PLL (21)',
+    goal: 'solved',
+    cases: cases('', {
+      Aa: "x R' U R' D2 R U' R' D2 R2 x'",
+      Ab: "x R2 D2 R U R' D2 R U' R x'",
+      E: "x' R U' R' D R U R' D' R U R' D R U' R' D' x",
+      F: "R' U' F' R U R' U' R' F R2 U' R' U' R U R' U R",
+      Ga: "R2 U R' U R' U' R U' R2 U' D R' U R D'",
+      Gb: "R' U' R U D' R2 U R' U R U' R U' R2 D",
+      Gc: "R2 U' R U' R U R' U R2 U D' R U' R' D",
+      Gd: "R U R' U' D R2 U' R U' R' U R' U R2 D'",
+      H: "M2 U M2 U2 M2 U M2",
+      Ja: "x R2 F R F' R U2 r' U r U2 x'",
+      Jb: "R U R' F' R U R' U' R' F R2 U' R'",
+      Na: "R U R' U R U R' F' R U R' U' R' F R2 U' R' U2 R U' R'",
+      Nb: "R' U R U' R' F' U' F R U R' F R' F' R U' R",
+      Ra: "R U' R' U' R U R D R' U' R D' R' U2 R'",
+      Rb: "R2 F R U R U' R' F' R U2 R' U2 R",
+      T: "R U R' U' R' F R2 U' R' U' R U R' F'",
+      Ua: "M2 U M U2 M' U M2",
+      Ub: "M2 U' M U2 M' U' M2",
+      V: "R' U R' U' y R' F' R2 U' R' U R' F R F",
+      Y: "F R U' R' U' R U R' F' R U R' U' R' F R F'",
+      Z: "M' U M2 U M2 U M' U2 M2"
+    })
+  },
+  f2l: {
+    label: 'F2L (41)',
+    goal: 'f2l',
+    cases: cases('F2L ', {
+      1: "U R U' R'",
+      2: "U' F' U F",
+      3: "F' U' F",
+      4: "R U R'",
+      5: "U' R U R' U2 R U' R'",
+      6: "U F' U' F U2 F' U F",
+      7: "U' R U2 R' U2 R U' R'",
+      8: "U F' U2 F U2 F' U F",
+      9: "U' R U' R' U F' U' F",
+      10: "U' R U R' U R U R'",
+      11: "U' R U2 R' U F' U' F",
+      12: "R U' R' U R U' R' U2 R U' R'",
+      13: "U F' U F U' F' U' F",
+      14: "U' R U' R' U R U R'",
+      15: "F' U F U2 R U R'",
+      16: "R U' R' U2 F' U' F",
+      17: "R U2 R' U' R U R'",
+      18: "F' U2 F U F' U' F",
+      19: "U R U2 R' U R U' R'",
+      20: "U' F' U2 F U' F' U F",
+      21: "U2 R U R' U R U' R'",
+      22: "U2 F' U' F U' F' U F",
+      23: "U R U' R' U' R U' R' U R U' R'",
+      24: "F U R U' R' F' R U' R'",
+      25: "U' R' F R F' R U R'",
+      26: "U R U' R' F R' F' R",
+      27: "R U' R' U R U' R'",
+      28: "F' U F U' F' U F",
+      29: "R U' R' F' U' F",
+      30: "R U R' U' R U R'",
+      31: "U' R' F R F' R U' R'",
+      32: "U R U' R' U R U' R' U R U' R'",
+      33: "U' R U' R' U2 R U' R'",
+      34: "U R U R' U2 R U R'",
+      35: "U2 R U' R' U' F' U' F",
+      36: "U F' U' F U' R U R'",
+      37: "R2 U2 F R2 F' U2 R' U R'",
+      38: "R U' R' U' R U R' U2 R U' R'",
+      39: "R U' R' U R U2 R' U R U' R'",
+      40: "R U' R' U F' U' F U' F' U' F",
+      41: "R U R' U' R U' R' U2 F' U' F"
+    })
+  }
+};
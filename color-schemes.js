@@ -0,0 +1,61 @@
+// ==========================
+// Sticker color schemes and color-blind markers
+// Preset palettes, the symbol drawn for each color, and the user's choice kept in localStorage.
+// Colors are CSS hex strings keyed by the face a color belongs to (U R F D L B).
+// ==========================
+
+import { FACE_ORDER } from './cube-model.js';
+
+const STORAGE_KEY = 'rubik-colors';
+
+export const PALETTES = {
+  standard: {
+    label: 'Standard',
+    colors: { U:'#ffffff', R:'#aa0000', F:'#00aa00', D:'#ffff00', L:'#ff7700', B:'#0000aa' },
+    names: { U:'white', R:'red', F:'green', D:'yellow', L:'orange', B:'blue' }
+  },
+  highContrast: {
+    label: 'High contrast',
+    colors: { U:'#ffffff', R:'#e00000', F:'#00d040', D:'#ffe000', L:'#ff8000', B:'#2050ff' },
+    names: { U:'white', R:'red', F:'green', D:'yellow', L:'orange', B:'blue' }
+  },
+  // Okabe-Ito based: no red/green pair, the remaining colors differ in lightness as well as hue
+  deuteranopia: {
+    label: 'Deuteranopia safe',
+    colors: { U:'#ffffff', R:'#cc79a7', F:'#56b4e9', D:'#f0e442', L:'#e69f00', B:'#0033aa' },
+    names: { U:'white', R:'pink', F:'sky blue', D:'yellow', L:'orange', B:'blue' }
+  },
+  // reds look dark to protanopes, so R is black and the rest stay far apart in lightness
+  protanopia: {
+    label: 'Protanopia safe',
+    colors: { U:'#ffffff', R:'#222222', F:'#009e73', D:'#f0e442', L:'#e69f00', B:'#0072b2' },
+    names: { U:'white', R:'black', F:'green', D:'yellow', L:'orange', B:'blue' }
+  }
+};
+
+// Marker shape for the stickers of each color (drawn by the app when markers are on)
+export const FACE_SYMBOLS = { U:'circle', R:'square', F:'triangle', D:'cross', L:'diamond', B:'bars' };
+
+// {palette, colors, names, markers}: the saved choice, or the standard palette without markers.
+// palette is a PALETTES key, or 'custom' once a color has been edited (names then stay those of the preset)
+export function loadColorSettings(storage=globalThis.localStorage){
+  const defaults = { palette:'standard', colors:{ ...PALETTES.standard.colors }, names:{ ...PALETTES.standard.names }, markers:false };
+  try{
+    const saved = storage && JSON.parse(storage.getItem(STORAGE_KEY));
+    if(!saved || typeof saved!=='object') return defaults;
+    const preset = PALETTES[saved.palette] || PALETTES.standard;
+    const colors = {}, names = {};
+    for(const f of FACE_ORDER){
+      colors[f] = isHexColor(saved.colors?.[f]) ? saved.colors[f] : preset.colors[f];
+      names[f] = typeof saved.names?.[f]==='string' ? saved.names[f] : preset.names[f];
+    }
+    return { palette:PALETTES[saved.palette] ? saved.palette : 'custom', colors, names, markers:!!saved.markers };
+  }catch(e){ return defaults; }
+}
+
+export function saveColorSettings(settings, storage=globalThis.localStorage){
+  try{ if(storage) storage.setItem(STORAGE_KEY, JSON.stringify({ palette:settings.palette, colors:settings.colors, names:settings.names, markers:settings.markers })); }
+  catch(e){ /* storage full or disabled: the scheme lasts for this visit */ }
+}
+
+export function isHexColor(value){ return typeof value==='string' && /^#[0-9a-f]{6}$/i.test(value); }
@@ -0,0 +1,556 @@
+// ==========================
+// CubeModel — headless NxNxN cube (and NxMxK cuboid) state
+// Pure logic: no DOM, no WebGL. Runs in the browser and in Node.
+// ==========================
+
+// Face letters in Kociemba/facelet order (U R F D L B)
+export const FACE_ORDER = ['U','R','F','D','L','B'];
+
+// Coordinates: x runs L -> R, y runs D -> U, z runs B -> F, each 0..N-1 (0..X-1, 0..Y-1, 0..Z-1 on a cuboid)
+// Outward normal of every face
+const FACE_NORMALS = {
+  U: [0,1,0], D: [0,-1,0],
+  R: [1,0,0], L: [-1,0,0],
+  F: [0,0,1], B: [0,0,-1]
+};
+
+// +1 for faces on the positive side of their axis, -1 for the opposite faces
+const FACE_SIGN = { U:1, R:1, F:1, D:-1, L:-1, B:-1 };
+
+const AXIS_INDEX = { x:0, y:1, z:2 };
+
+// Puzzle sizes: a number N for an NxNxN cube, or [X, Y, Z] layers along x, y and z for a cuboid
+// (2x2x3 is [2, 3, 2]: three layers from D to U). Every function taking N also takes a size.
+export function shapeOf(size){ return Array.isArray(size) ? size : [size, size, size]; }
+
+// Name of a size the way puzzles are named, the base first and the height last: X x Z x Y
+// ("3x3x3", and "2x2x3" for the tower [2, 3, 2])
+export function sizeLabel(size){
+  const [X, Y, Z] = shapeOf(size);
+  return X+'x'+Z+'x'+Y;
+}
+
+// Read a size typed as N ("4") or as a puzzle name ("2x2x3", see sizeLabel); throws an Error when it is
+// neither or a side is outside 1..max
+export function parseSize(text, max=20){
+  const parts = String(text).trim().toLowerCase().split(/\s*[x×*]\s*/);
+  if(!(parts.length===1 || parts.length===3) || !parts.every(p=>/^\d+$/.test(p))) throw new Error('Write the size as N (3) or as width x depth x height (2x2x3)');
+  const sides = parts.map(Number);
+  if(sides.some(d=>d<1 || d>max)) throw new Error('Every side must be from 1 to '+max);
+  if(sides.length===1) return sides[0];
+  const [X, Z, Y] = sides;
+  return normalizeSize([X, Y, Z]);
+}
+
+// The size as passed around: N when all three sides match, [X, Y, Z] otherwise
+export function normalizeSize(size){
+  const [X, Y, Z] = shapeOf(size);
+  return X===Y && Y===Z ? X : [X, Y, Z];
+}
+
+// layers along an axis
+export function layerCount(size, axis){ return Array.isArray(size) ? size[AXIS_INDEX[axis]] : size; }
+
+// A quarter turn about an axis keeps the puzzle's shape only when its layers are square;
+// other layers of a cuboid turn by half turns only
+export function quarterTurnsAllowed(size, axis){
+  if(!Array.isArray(size)) return true;
+  const ai = AXIS_INDEX[axis];
+  return size[(ai+1)%3]===size[(ai+2)%3];
+}
+
+// rows and columns of a face as seen from outside (see faceletToCubie)
+export function faceDims(size, face){
+  const [X, Y, Z] = shapeOf(size);
+  switch(face){
+    case 'U': case 'D': return { rows:Z, cols:X };
+    case 'R': case 'L': return { rows:Y, cols:Z };
+    case 'F': case 'B': return { rows:Y, cols:X };
+  }
+  throw new Error('Unknown face: '+face);
+}
+
+// Where each face's stickers start in the facelet order (faces in FACE_ORDER, each row by row):
+// {count, U:{offset, rows, cols}, R:..., ...}
+export function faceletLayout(size){
+  const layout = { count:0 };
+  for(const f of FACE_ORDER){
+    const { rows, cols } = faceDims(size, f);
+    layout[f] = { offset:layout.count, rows, cols };
+    layout.count += rows*cols;
+  }
+  return layout;
+}
+
+// map face letter to axis letter
+export function faceToAxis(face){
+  if(face==='U' || face==='D') return 'y';
+  if(face==='L' || face==='R') return 'x';
+  return 'z';
+}
+
+// sign of a face along its axis (a clockwise face turn is -90deg about its outward normal)
+export function faceSign(face){ return FACE_SIGN[face] || 1; }
+
+// normalize quarter turns to -1, 0, 1 or 2
+export function normalizeTurns(turns){
+  let t = ((turns%4)+4)%4;
+  if(t>2) t -= 4;
+  return t;
+}
+
+// Absolute layers [lo, hi] a move turns: just `layer`, or layer..toLayer for moves that turn
+// several layers at once (wide moves, slices, whole-cube rotations)
+export function moveLayers(move){
+  const to = move.toLayer===undefined ? move.layer : move.toLayer;
+  return [Math.min(move.layer, to), Math.max(move.layer, to)];
+}
+
+// The move that turns `layer` by q quarter turns about the positive axis (counter-clockwise looking
+// down the axis, as in three.js), named after the nearer face
+export function axisMove(N, axis, layer, q){
+  const [positive, negative] = { x:['R','L'], y:['U','D'], z:['F','B'] }[axis];
+  // clockwise on the positive face is a negative rotation about the axis
+  if(layer < layerCount(N, axis)-1-layer) return { face:negative, layer, turns:normalizeTurns(q) };
+  return { face:positive, layer, turns:normalizeTurns(-q) };
+}
+
+// rotate an integer vector by q quarter turns (+90deg each, right-handed) about axis
+function rotateVec(v, axis, q){
+  let [x,y,z] = v;
+  for(let i=0;i<q;i++){
+    if(axis==='x') [y,z] = [-z,y];
+    else if(axis==='y') [x,z] = [z,-x];
+    else [x,y] = [-y,x];
+  }
+  return [x,y,z];
+}
+
+// face letter whose outward normal equals v
+function normalToFace(v){
+  for(const f of FACE_ORDER){
+    const n = FACE_NORMALS[f];
+    if(n[0]===v[0] && n[1]===v[1] && n[2]===v[2]) return f;
+  }
+  return null;
+}
+
+// Precomputed sticker relabelling: FACE_ROTATION[axis][q][face] -> face after q quarter turns
+const FACE_ROTATION = {};
+for(const axis of ['x','y','z']){
+  FACE_ROTATION[axis] = [];
+  for(let q=0;q<4;q++){
+    const map = {};
+    for(const f of FACE_ORDER) map[f] = normalToFace(rotateVec(FACE_NORMALS[f], axis, q));
+    FACE_ROTATION[axis][q] = map;
+  }
+}
+
+// Facelet addressing: face viewed from outside in the standard unfolded net
+// (U with B on top, D with F on top, side faces with U on top), row 0 at the top, col 0 at the left.
+// Returns cubie coordinates [x,y,z] of the facelet.
+export function faceletToCubie(N, face, row, col){
+  const mx = layerCount(N, 'x')-1, my = layerCount(N, 'y')-1, mz = layerCount(N, 'z')-1;
+  switch(face){
+    case 'U': return [col, my, row];
+    case 'R': return [mx, my-row, mz-col];
+    case 'F': return [col, my-row, mz];
+    case 'D': return [col, 0, mz-row];
+    case 'L': return [0, my-row, col];
+    case 'B': return [mx-col, my-row, 0];
+  }
+  throw new Error('Unknown face: '+face);
+}
+
+// Inverse of faceletToCubie: [row, col] of the sticker facing `face` on cubie x,y,z
+export function cubieToFacelet(N, face, x, y, z){
+  const mx = layerCount(N, 'x')-1, my = layerCount(N, 'y')-1, mz = layerCount(N, 'z')-1;
+  switch(face){
+    case 'U': return [z, x];
+    case 'R': return [my-y, mz-z];
+    case 'F': return [my-y, x];
+    case 'D': return [mz-z, x];
+    case 'L': return [my-y, z];
+    case 'B': return [my-y, mx-x];
+  }
+  throw new Error('Unknown face: '+face);
+}
+
+// Facelet permutation of a move on an NxNxN cube, indexed like toFaceletString():
+// perm[i] is the facelet the sticker at facelet i moves to
+export function movePermutation(N, move){
+  const [lo, hi] = moveLayers(move);
+  const axis = faceToAxis(move.face), ai = AXIS_INDEX[axis];
+  const q = moveQuarterTurns(move.face, normalizeTurns(move.turns===undefined ? 1 : move.turns));
+  if(q%2 && !quarterTurnsAllowed(N, axis)) throw new Error(quarterTurnError(N, move.face));
+  // cubie coordinates doubled and centered, so quarter turns stay integer (a quarter turn only ever
+  // swaps two axes of the same length)
+  const half = shapeOf(N).map(d=>d-1);
+  const faceMap = FACE_ROTATION[axis][q], layout = faceletLayout(N);
+  const perm = new Int32Array(layout.count);
+  let i = 0;
+  for(const f of FACE_ORDER){
+    const { rows, cols } = layout[f];
+    for(let row=0;row<rows;row++) for(let col=0;col<cols;col++, i++){
+      const c = faceletToCubie(N, f, row, col);
+      if(c[ai]<lo || c[ai]>hi){ perm[i] = i; continue; }
+      const r = rotateVec(c.map((v, k)=>2*v-half[k]), axis, q).map((v, k)=>(v+half[k])/2);
+      const nf = faceMap[f];
+      const [nr, nc] = cubieToFacelet(N, nf, r[0], r[1], r[2]);
+      perm[i] = layout[nf].offset + nr*layout[nf].cols + nc;
+    }
+  }
+  return perm;
+}
+
+function quarterTurnError(size, face){
+  return 'The '+face+' layers of a '+sizeLabel(size)+' cuboid are not square: they only turn by half turns';
+}
+
+// quarter turns about the positive axis for a move of `turns` clockwise turns of `face`
+function moveQuarterTurns(face, turns){
+  return ((-turns*faceSign(face))%4+4)%4;
+}
+
+const FACE_INDEX = { U:0, R:1, F:2, D:3, L:4, B:5 };
+
+// true when the cubie at x,y,z has a sticker facing `face`
+function onFace(N, face, x, y, z){
+  switch(face){
+    case 'U': return y===layerCount(N, 'y')-1;
+    case 'D': return y===0;
+    case 'R': return x===layerCount(N, 'x')-1;
+    case 'L': return x===0;
+    case 'F': return z===layerCount(N, 'z')-1;
+    case 'B': return z===0;
+  }
+  return false;
+}
+
+// Direction of row 0 (up) and of the last column (right) on every face, as seen from outside
+const FACE_UP = {}, FACE_RIGHT = {};
+for(const f of FACE_ORDER){
+  const center = faceletToCubie(3, f, 1, 1);
+  FACE_UP[f] = faceletToCubie(3, f, 0, 1).map((v, i)=>v-center[i]);
+  FACE_RIGHT[f] = faceletToCubie(3, f, 1, 2).map((v, i)=>v-center[i]);
+}
+
+// clockwise quarter turns a sticker makes, relative to the rows of its face, when a turn about axis
+// by q quarter turns carries it from face to the face `to`
+function stickerTwist(face, to, axis, q){
+  const up = rotateVec(FACE_UP[face], axis, q), u = FACE_UP[to], r = FACE_RIGHT[to];
+  const dirs = [u, r, u.map(v=>-v), r.map(v=>-v)];
+  return dirs.findIndex(d=>d[0]===up[0] && d[1]===up[1] && d[2]===up[2]);
+}
+
+// Layer turn tables, built on first use and shared by every model of that size:
+// facelets lists the facelets of one layer, targets[k] is where the sticker on facelets[k] goes
+// after q quarter turns about the positive axis and twists[k] how far it turns on the way
+const layerTables = new Map();
+
+function layerTable(N, axis, layer, q){
+  const key = sizeLabel(N)+axis+layer+':'+q;
+  let table = layerTables.get(key);
+  if(!table){
+    const ai = AXIS_INDEX[axis], positive = { x:'R', y:'U', z:'F' }[axis];
+    const perm = movePermutation(N, { face:positive, layer, turns:normalizeTurns(-q) });
+    const facelets = [], twists = [], layout = faceletLayout(N);
+    let i = 0;
+    for(const f of FACE_ORDER) for(let row=0;row<layout[f].rows;row++) for(let col=0;col<layout[f].cols;col++, i++){
+      if(faceletToCubie(N, f, row, col)[ai]!==layer) continue;
+      facelets.push(i);
+      twists.push(stickerTwist(f, FACE_ROTATION[axis][q][f], axis, q));
+    }
+    table = { facelets:Int32Array.from(facelets), targets:Int32Array.from(facelets, i=>perm[i]), twists:Uint8Array.from(twists) };
+    layerTables.set(key, table);
+  }
+  return table;
+}
+
+// face letter of a facelet index in a faceletLayout
+function faceAt(layout, i){
+  return FACE_ORDER.find(f=>i<layout[f].offset+layout[f].rows*layout[f].cols);
+}
+
+// Origin assumed for a sticker of a known color only: the same row and column on its color's face
+// (the nearest one when that face is smaller)
+function colorOrigin(layout, i, color){
+  const { offset, cols } = layout[faceAt(layout, i)], home = layout[FACE_ORDER[color]];
+  const row = Math.floor((i-offset)/cols), col = (i-offset)%cols;
+  return home.offset + Math.min(row, home.rows-1)*home.cols + Math.min(col, home.cols-1);
+}
+
+// scratch space for the colors, origins and spins of the layer being turned
+let moving = new Uint8Array(64), movingOrigins = new Int32Array(64), movingSpins = new Uint8Array(64);
+
+export class CubeModel {
+  #listeners = new Set();
+
+  // size: N for an NxNxN cube or [X, Y, Z] for a cuboid (see shapeOf)
+  constructor(N=3){
+    if(Array.isArray(N)){
+      if(N.length!==3 || !N.every(d=>Number.isInteger(d) && d>=1)) throw new Error('Cuboid sides must be three positive integers [X, Y, Z], got '+N.join(', '));
+    } else if(!Number.isInteger(N) || N<1) throw new Error('Cube size must be a positive integer, got '+N);
+    // size as passed to the other functions, dims [X, Y, Z] either way; N is only set for cubes
+    this.size = normalizeSize(N);
+    this.dims = shapeOf(this.size).slice();
+    this.N = Array.isArray(this.size) ? null : this.size;
+    this.layout = faceletLayout(this.size);
+    // Surface-only state: one byte per facelet (index as in toFaceletString), holding the FACE_ORDER
+    // index of the sticker's color. Interior cubies have no stickers and are not stored.
+    this.facelets = new Uint8Array(this.layout.count);
+    // Supercube state, for picture cubes and center orientation: the facelet each sticker started on
+    // and how many clockwise quarter turns it has made since, relative to the rows of the face it is on
+    this.origins = new Int32Array(this.layout.count);
+    this.spins = new Uint8Array(this.layout.count);
+    this.reset();
+  }
+
+  // Restore the solved state
+  reset(){
+    FACE_ORDER.forEach((f, fi)=>{
+      const { offset, rows, cols } = this.layout[f];
+      this.facelets.fill(fi, offset, offset+rows*cols);
+    });
+    for(let i=0;i<this.layout.count;i++) this.origins[i] = i;
+    this.spins.fill(0);
+    this.#emit({ type:'reset' });
+    return this;
+  }
+
+  // Apply a move {face, layer, turns} or {face, layer, toLayer, turns}: layer (through toLayer) are absolute
+  // coordinates along the face's axis, turns counts clockwise quarter turns as seen looking at `face` from outside
+  applyMove(move){
+    const { face, layer } = move;
+    const toLayer = move.toLayer===undefined ? layer : move.toLayer;
+    if(!FACE_NORMALS[face]) throw new Error('Unknown face: '+face);
+    const axis = faceToAxis(face), layers = layerCount(this.size, axis);
+    for(const l of [layer, toLayer]) if(!Number.isInteger(l) || l<0 || l>=layers) throw new Error('Layer out of range: '+l);
+    const turns = normalizeTurns(move.turns===undefined ? 1 : move.turns);
+    if(turns%2 && !quarterTurnsAllowed(this.size, axis)) throw new Error(quarterTurnError(this.size, face));
+    let changed = new Int32Array(0);
+    if(turns!==0){
+      const q = moveQuarterTurns(face, turns);
+      const [lo, hi] = moveLayers({ layer, toLayer });
+      const parts = [];
+      for(let l=lo;l<=hi;l++) parts.push(this.#turnLayer(axis, l, q));
+      changed = parts.length===1 ? parts[0] : Int32Array.from(parts.flatMap(p=>Array.from(p)));
+    }
+    const applied = { face, layer, turns };
+    if(toLayer!==layer) applied.toLayer = toLayer;
+    this.#emit({ type:'move', move:applied, changed });
+    return this;
+  }
+
+  // turn one layer by q quarter turns about the positive axis; returns the facelets of the layer
+  #turnLayer(axis, layer, q){
+    const { facelets, targets, twists } = layerTable(this.size, axis, layer, q);
+    const state = this.facelets, origins = this.origins, spins = this.spins, count = facelets.length;
+    if(moving.length<count){
+      moving = new Uint8Array(count); movingOrigins = new Int32Array(count); movingSpins = new Uint8Array(count);
+    }
+    for(let k=0;k<count;k++){
+      const i = facelets[k];
+      moving[k] = state[i]; movingOrigins[k] = origins[i]; movingSpins[k] = spins[i];
+    }
+    for(let k=0;k<count;k++){
+      const t = targets[k];
+      state[t] = moving[k]; origins[t] = movingOrigins[k]; spins[t] = (movingSpins[k]+twists[k])&3;
+    }
+    return facelets;
+  }
+
+  applyMoves(moves){
+    for(const m of moves) this.applyMove(m);
+    return this;
+  }
+
+  // facelet index (as in toFaceletString) of row/col of face
+  #index(face, row, col){
+    const { offset, cols } = this.layout[face];
+    return offset + row*cols + col;
+  }
+
+  // Color (face letter) of the facelet at row/col of face, see faceletToCubie for the layout
+  getSticker(face, row, col){
+    return FACE_ORDER[this.facelets[this.#index(face, row, col)]];
+  }
+
+  // Paint one facelet with a color letter (used by the sticker editor; may make the state unreachable).
+  // The painted sticker gets the origin colorOrigin gives it
+  setSticker(face, row, col, color){
+    if(!FACE_NORMALS[color]) throw new Error('Unknown sticker color '+color);
+    const i = this.#index(face, row, col);
+    if(this.facelets[i]===FACE_INDEX[color]) return this;
+    this.facelets[i] = FACE_INDEX[color];
+    this.origins[i] = colorOrigin(this.layout, i, this.facelets[i]);
+    this.spins[i] = 0;
+    this.#emit({ type:'paint', face, row, col, color, changed:Int32Array.of(i) });
+    return this;
+  }
+
+  // All stickers as one string of color letters: faces in FACE_ORDER, each row by row
+  // (for N=3 this is the Kociemba facelet string)
+  toFaceletString(){
+    let out = '';
+    for(const c of this.facelets) out += FACE_ORDER[c];
+    return out;
+  }
+
+  // Every face shows a single color (in any orientation of the whole cube). With oriented (supercubes,
+  // picture cubes) every face must also show its own stickers in their places, all turned the same way,
+  // so centers count and a turned center leaves the cube unsolved
+  isSolved({ oriented=false }={}){
+    const state = this.facelets;
+    for(const f of FACE_ORDER){
+      const { offset, rows, cols } = this.layout[f];
+      for(let i=offset+1;i<offset+rows*cols;i++) if(state[i]!==state[offset]) return false;
+    }
+    if(!oriented) return true;
+    for(const f of FACE_ORDER){
+      const { offset, rows, cols } = this.layout[f];
+      const spin = this.spins[offset], home = this.layout[FACE_ORDER[state[offset]]];
+      if(home.rows!==rows || home.cols!==cols) return false;
+      for(let row=0;row<rows;row++) for(let col=0;col<cols;col++){
+        // where the sticker now at row/col started, undoing the face's spin (odd spins only on square faces)
+        let r = row, c = col;
+        if(spin===2){ r = rows-1-row; c = cols-1-col; }
+        else for(let k=0;k<spin;k++) [r, c] = [rows-1-c, r];
+        const i = offset+row*cols+col;
+        if(this.spins[i]!==spin || this.origins[i]!==home.offset+r*cols+c) return false;
+      }
+    }
+    return true;
+  }
+
+  // rows of colors for one face
+  getFace(face){
+    const rows = [], { rows:height, cols:width } = this.layout[face];
+    for(let r=0;r<height;r++){
+      const row = [];
+      for(let c=0;c<width;c++) row.push(this.getSticker(face, r, c));
+      rows.push(row);
+    }
+    return rows;
+  }
+
+  // copy of the stickers of the cubie at x,y,z ({direction: color})
+  getCubie(x, y, z){
+    const stickers = {};
+    for(const f of FACE_ORDER){
+      if(onFace(this.size, f, x, y, z)) stickers[f] = this.getSticker(f, ...cubieToFacelet(this.size, f, x, y, z));
+    }
+    return stickers;
+  }
+
+  // Visit every sticker: cb(x, y, z, directionFace, colorFace)
+  forEachSticker(cb){
+    let i = 0;
+    for(const f of FACE_ORDER) for(let row=0;row<this.layout[f].rows;row++) for(let col=0;col<this.layout[f].cols;col++, i++){
+      const [x,y,z] = faceletToCubie(this.size, f, row, col);
+      cb(x, y, z, f, FACE_ORDER[this.facelets[i]]);
+    }
+  }
+
+  // Independent copy (listeners are not copied)
+  clone(){
+    const copy = new CubeModel(this.size);
+    copy.facelets.set(this.facelets);
+    copy.origins.set(this.origins);
+    copy.spins.set(this.spins);
+    return copy;
+  }
+
+  // True when both cubes have the same size and every sticker matches
+  equals(other){
+    if(!other || sizeLabel(other.size)!==sizeLabel(this.size)) return false;
+    return this.facelets.every((c, i)=>other.facelets[i]===c);
+  }
+
+  // {N, cubeState} ({dims, cubeState} for a cuboid): cubeState[x][y][z] = {stickers: {<direction face>: <color face>}},
+  // the format of exported states (interior cubies have no stickers). With oriented, also
+  // orientation: {origins, spins}, the supercube state indexed like toFaceletString
+  toJSON({ oriented=false }={}){
+    const [X, Y, Z] = this.dims;
+    const cubeState = Array.from({ length:X }, ()=>Array.from({ length:Y }, ()=>Array.from({ length:Z }, ()=>({ stickers:{} }))));
+    this.forEachSticker((x,y,z,f,color)=>{ cubeState[x][y][z].stickers[f] = color; });
+    const json = this.N===null ? { dims:this.dims.slice(), cubeState } : { N:this.N, cubeState };
+    if(oriented) json.orientation = { origins:Array.from(this.origins), spins:Array.from(this.spins) };
+    return json;
+  }
+
+  // Build a model from a facelet string (see toFaceletString). Without a size, N follows from the length
+  // (6*N*N); cuboids need theirs. Throws on a bad length or unknown letters; reachability is not checked
+  // (see solver/validate.js)
+  static fromFaceletString(str, size=null){
+    const text = String(str).trim().toUpperCase();
+    if(size===null){
+      size = Math.round(Math.sqrt(text.length/6));
+      if(size<1 || 6*size*size!==text.length) throw new Error('A facelet string has 6*N*N letters (54 for a 3x3), got '+text.length);
+    } else {
+      const count = faceletLayout(size).count;
+      if(text.length!==count) throw new Error('A '+sizeLabel(size)+' facelet string has '+count+' letters, got '+text.length);
+    }
+    const bad = text.search(/[^URFDLB]/);
+    if(bad>=0) throw new Error('Unknown facelet letter '+text[bad]+' at position '+(bad+1)+' (expected U R F D L B)');
+    const model = new CubeModel(size);
+    for(let i=0;i<text.length;i++) model.facelets[i] = FACE_INDEX[text[i]];
+    model.#originsFromColors();
+    return model;
+  }
+
+  // Build a model from {N or dims, cubeState} and the optional orientation (see toJSON); throws if the shape
+  // does not match the size. Without orientation the origins follow from the colors (see colorOrigin)
+  static fromJSON(obj){
+    if(!obj || (!Number.isInteger(obj.N) && !Array.isArray(obj.dims))) throw new Error('Missing cube size N (or cuboid dims [X, Y, Z])');
+    const model = new CubeModel(obj.dims || obj.N);
+    if(obj.cubeState===undefined) return model;
+    let valid = Array.isArray(obj.cubeState) && obj.cubeState.length===model.dims[0];
+    if(valid){
+      let i = 0;
+      model.forEachSticker((x,y,z,f)=>{
+        const color = obj.cubeState[x]?.[y]?.[z]?.stickers?.[f];
+        if(!FACE_NORMALS[color]) valid = false;
+        else model.facelets[i] = FACE_INDEX[color];
+        i++;
+      });
+    }
+    if(!valid) throw new Error('cubeState does not describe a '+sizeLabel(model.size)+(model.N===null ? ' cuboid' : ' cube'));
+    if(obj.orientation===undefined) model.#originsFromColors();
+    else model.#readOrientation(obj.orientation);
+    return model;
+  }
+
+  // Register a change listener: fn({type:'move', move, changed} | {type:'reset'} | {type:'paint', face, row, col, color, changed}).
+  // changed lists the facelet indices that may have changed (every facelet of the turned layer); without it, all may have.
+  // Returns an unsubscribe function.
+  subscribe(fn){
+    this.#listeners.add(fn);
+    return ()=>this.#listeners.delete(fn);
+  }
+
+  // states known only by their colors: every sticker is taken to come from its color's face (see colorOrigin)
+  #originsFromColors(){
+    for(let i=0;i<this.facelets.length;i++) this.origins[i] = colorOrigin(this.layout, i, this.facelets[i]);
+    this.spins.fill(0);
+  }
+
+  #readOrientation({ origins, spins }={}){
+    const count = this.facelets.length;
+    if(!Array.isArray(origins) || origins.length!==count || !Array.isArray(spins) || spins.length!==count){
+      throw new Error('orientation needs origins and spins with one entry per sticker ('+count+')');
+    }
+    for(let i=0;i<count;i++){
+      const o = origins[i], s = spins[i];
+      if(!Number.isInteger(o) || o<0 || o>=count) throw new Error('orientation.origins['+i+'] must be a facelet index from 0 to '+(count-1));
+      if(FACE_INDEX[faceAt(this.layout, o)]!==this.facelets[i]) throw new Error('orientation.origins['+i+'] does not match the sticker color');
+      if(!Number.isInteger(s) || s<0 || s>3) throw new Error('orientation.spins['+i+'] must be 0 to 3');
+      this.origins[i] = o;
+      this.spins[i] = s;
+    }
+  }
+
+  #emit(change){
+    for(const fn of this.#listeners) fn(change);
+  }
+}
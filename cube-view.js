@@ -0,0 +1,154 @@
+// ==========================
+// Lightweight 3D view of a CubeModel, for embedded cubes (rubik-cube.js)
+// Every view has its own renderer, scene, camera and orbit controls on a canvas it creates in its container,
+// and one InstancedMesh with a sticker per facelet, colored from the model. Nothing is global, so a page can
+// hold several. A view draws only when something changed (a turn, the camera, a new size).
+// The app (script.js) has its own renderer with drag turns, markers and pictures.
+// ==========================
+
+import * as THREE from 'three';
+import { OrbitControls } from 'https://unpkg.com/three@0.155.0/examples/jsm/controls/OrbitControls.js';
+import { FACE_ORDER, faceToAxis, faceSign, faceletToCubie, faceletLayout, shapeOf, sizeLabel, moveLayers } from './cube-model.js';
+
+const SPACING = 1.02; // gap between cubies
+const STICKER_SCALE = 0.9; // sticker size relative to the cubie face
+const NORMALS = { U:[0,1,0], D:[0,-1,0], R:[1,0,0], L:[-1,0,0], F:[0,0,1], B:[0,0,-1] };
+const AXES = { x:new THREE.Vector3(1,0,0), y:new THREE.Vector3(0,1,0), z:new THREE.Vector3(0,0,1) };
+
+function easeInOutCubic(t){ return t<0.5 ? 4*t*t*t : 1 - Math.pow(-2*t+2,3)/2; }
+
+export class CubeView {
+  #frame = 0; // pending animation frame of requestRender
+  #resizeObserver = null;
+  #unsubscribe = null;
+  #sizeKey = null;
+
+  // colors: face -> CSS color (see PALETTES in color-schemes.js)
+  constructor(container, colors){
+    this.canvas = document.createElement('canvas');
+    this.canvas.style.cssText = 'display:block;width:100%;height:100%;touch-action:none;';
+    container.appendChild(this.canvas);
+    this.renderer = new THREE.WebGLRenderer({ canvas:this.canvas, antialias:true, alpha:true });
+    this.renderer.setPixelRatio(window.devicePixelRatio);
+    this.scene = new THREE.Scene();
+    this.camera = new THREE.PerspectiveCamera(45, 1, 0.1, 1000);
+    this.controls = new OrbitControls(this.camera, this.canvas);
+    this.controls.enablePan = false;
+    this.controls.addEventListener('change', ()=>this.requestRender());
+    this.scene.add(new THREE.AmbientLight(0xffffff, 0.6));
+    const light = new THREE.DirectionalLight(0xffffff, 0.6);
+    light.position.set(5,10,7);
+    this.scene.add(light);
+    this.material = new THREE.MeshStandardMaterial({ color:0xffffff, roughness:0.5, metalness:0 });
+    this.colors = Object.fromEntries(FACE_ORDER.map(f=>[f, new THREE.Color(colors[f])]));
+    this.model = null;
+    this.mesh = null;
+    this.slots = []; // per facelet: {x, y, z (cubie), base (THREE.Matrix4)}
+    this.#resizeObserver = new ResizeObserver(()=>this.resize());
+    this.#resizeObserver.observe(this.canvas);
+  }
+
+  // Show a model; the stickers are rebuilt when its size differs from the last one
+  setModel(model){
+    if(this.#unsubscribe) this.#unsubscribe();
+    this.model = model;
+    if(this.#sizeKey!==sizeLabel(model.size)) this.#build(model.size);
+    this.#unsubscribe = model.subscribe(e=>{ this.#place(e.changed); this.#paint(e.changed); this.requestRender(); });
+    this.#place();
+    this.#paint();
+    this.requestRender();
+  }
+
+  // Animate a move over duration ms (at once for 0), then apply it to the model
+  turn(move, duration){
+    const model = this.model, mesh = this.mesh;
+    if(!duration || move.turns===0) return Promise.resolve(model.applyMove(move));
+    const axis = faceToAxis(move.face), [lo, hi] = moveLayers(move);
+    const turning = this.slots.map((s, i)=>i).filter(i=>this.slots[i][axis]>=lo && this.slots[i][axis]<=hi);
+    const angle = -move.turns*Math.PI/2 * faceSign(move.face); // clockwise seen from the face
+    const rotation = new THREE.Matrix4(), m = new THREE.Matrix4(), start = performance.now();
+    return new Promise(resolve=>{
+      const frame = ()=>{
+        // a new model or size replaced this one meanwhile: nothing left to animate
+        if(this.model!==model || this.mesh!==mesh) return resolve();
+        const t = Math.min(1, (performance.now()-start)/duration);
+        rotation.makeRotationAxis(AXES[axis], angle*easeInOutCubic(t));
+        for(const i of turning) mesh.setMatrixAt(i, m.multiplyMatrices(rotation, this.slots[i].base));
+        mesh.instanceMatrix.needsUpdate = true;
+        this.renderer.render(this.scene, this.camera);
+        if(t<1) requestAnimationFrame(frame);
+        else resolve(model.applyMove(move));
+      };
+      requestAnimationFrame(frame);
+    });
+  }
+
+  requestRender(){
+    if(this.#frame) return;
+    this.#frame = requestAnimationFrame(()=>{
+      this.#frame = 0;
+      this.renderer.render(this.scene, this.camera);
+    });
+  }
+
+  resize(){
+    const w = this.canvas.clientWidth, h = this.canvas.clientHeight;
+    if(!w || !h) return;
+    this.camera.aspect = w/h;
+    this.camera.updateProjectionMatrix();
+    this.renderer.setSize(w, h, false);
+    this.requestRender();
+  }
+
+  // Free the GPU resources and remove the canvas; the view cannot be used afterwards
+  dispose(){
+    if(this.#frame) cancelAnimationFrame(this.#frame);
+    if(this.#unsubscribe) this.#unsubscribe();
+    this.#resizeObserver.disconnect();
+    this.controls.dispose();
+    if(this.mesh){ this.mesh.geometry.dispose(); this.mesh.dispose(); }
+    this.material.dispose();
+    this.renderer.dispose();
+    this.canvas.remove();
+    this.model = this.mesh = null;
+  }
+
+  // one sticker slot per facelet, in facelet order, and a camera distance that fits the puzzle
+  #build(size){
+    if(this.mesh){ this.scene.remove(this.mesh); this.mesh.geometry.dispose(); this.mesh.dispose(); }
+    const layout = faceletLayout(size), dims = shapeOf(size), half = dims.map(d=>(d-1)/2);
+    this.slots = [];
+    const q = new THREE.Quaternion(), front = new THREE.Vector3(0,0,1);
+    for(const f of FACE_ORDER){
+      const normal = new THREE.Vector3(...NORMALS[f]);
+      q.setFromUnitVectors(front, normal);
+      for(let row=0;row<layout[f].rows;row++) for(let col=0;col<layout[f].cols;col++){
+        const [x,y,z] = faceletToCubie(size, f, row, col);
+        const pos = new THREE.Vector3((x-half[0])*SPACING, (y-half[1])*SPACING, (z-half[2])*SPACING).addScaledVector(normal, 0.51);
+        this.slots.push({ x, y, z, base:new THREE.Matrix4().makeRotationFromQuaternion(q).setPosition(pos) });
+      }
+    }
+    this.mesh = new THREE.InstancedMesh(new THREE.PlaneGeometry(STICKER_SCALE, STICKER_SCALE), this.material, layout.count);
+    this.mesh.instanceMatrix.setUsage(THREE.DynamicDrawUsage);
+    this.mesh.frustumCulled = false;
+    this.scene.add(this.mesh);
+    const distance = Math.max(2, ...dims)/3;
+    this.camera.position.set(5*distance, 5*distance, 9*distance);
+    this.controls.target.set(0,0,0);
+    this.controls.update();
+    this.#sizeKey = sizeLabel(size);
+  }
+
+  // reset slots (the given facelets or all) to their resting place
+  #place(indices=null){
+    const list = indices || this.slots.map((s, i)=>i);
+    for(const i of list) this.mesh.setMatrixAt(i, this.slots[i].base);
+    this.mesh.instanceMatrix.needsUpdate = true;
+  }
+
+  #paint(indices=null){
+    const list = indices || this.slots.map((s, i)=>i);
+    for(const i of list) this.mesh.setColorAt(i, this.colors[FACE_ORDER[this.model.facelets[i]]]);
+    this.mesh.instanceColor.needsUpdate = true;
+  }
+}
@@ -0,0 +1,23 @@
+// ==========================
+// Named event channels: on(name, fn) returns an unsubscribe function
+// A throwing listener is reported and does not stop the others (or the code that emitted).
+// ==========================
+
+export class EventHub {
+  #channels = new Map();
+
+  on(name, fn){
+    if(!this.#channels.has(name)) this.#channels.set(name, new Set());
+    this.#channels.get(name).add(fn);
+    return ()=>this.#channels.get(name).delete(fn);
+  }
+
+  emit(name, detail){
+    const listeners = this.#channels.get(name);
+    if(!listeners) return;
+    for(const fn of [...listeners]){
+      try{ fn(detail); }
+      catch(e){ console.error('Error in '+name+' listener:', e); }
+    }
+  }
+}
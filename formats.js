@@ -0,0 +1,132 @@
+// ==========================
+// State interchange: read and write cube states in the formats people paste around
+//   json      the app's own dump {N, cubeState, moveHistory}, for picture cubes also {orientation, pictures}
+//   facelets  Kociemba facelet string for any N (UUUUUUUUURRR...), see CubeModel.toFaceletString
+//   moves     move text in WCA / SiGN notation, applied to a solved cube
+//   hash      shareable URL hash #n=4&state=<facelets>&moves=<history> (n=2x2x3 for a cuboid)
+// readState detects the format, checks the schema and that the state is reachable, and throws an
+// Error saying what is wrong. Cuboids ({dims} in JSON) are read as well; their reachability is not checked.
+// ==========================
+
+import { CubeModel, FACE_ORDER, faceToAxis, layerCount, quarterTurnsAllowed, faceletLayout, sizeLabel, parseSize, shapeOf } from './cube-model.js';
+import { parseAlgorithm, formatMoves } from './notation.js';
+import { validateFacelets } from './solver/validate.js';
+import { checkPictureSettings } from './pictures.js';
+
+export const STATE_FORMATS = ['json', 'facelets', 'moves', 'hash'];
+
+// Text of the state in one of STATE_FORMATS; history is the list of moves that led to it. pictures are the
+// picture cube settings (pictures.js): JSON then keeps them and the orientation of every sticker
+export function writeState(model, history, format, { pictures=null }={}){
+  switch(format){
+    case 'json': {
+      if(!pictures || pictures.mode==='off') return JSON.stringify({ ...model.toJSON(), moveHistory:history });
+      return JSON.stringify({ ...model.toJSON({ oriented:true }), moveHistory:history, pictures });
+    }
+    case 'facelets': return model.toFaceletString();
+    case 'moves': return formatMoves(history, model.size);
+    case 'hash': {
+      const params = new URLSearchParams({ n:model.N===null ? sizeLabel(model.size) : model.N, state:model.toFaceletString() });
+      if(history.length) params.set('moves', formatMoves(history, model.size));
+      return '#'+params.toString();
+    }
+  }
+  throw new Error('Unknown state format '+format);
+}
+
+// Read a state in any of STATE_FORMATS (detected from the text). N is the cube size (or cuboid) for plain move
+// text and for a bare facelet string of that cuboid.
+// Returns {format, model, history}, and pictures when a JSON state has them. names maps color letters to display names for the error messages.
+export function readState(text, N, { names={}, maxN=20 }={}){
+  const src = String(text).trim();
+  if(!src) throw new Error('Nothing to import: paste a JSON state, a facelet string, moves or a link');
+  let result;
+  if(src[0]==='{') result = readJSON(src, maxN);
+  else if(src.includes('#') || /^n=\d/.test(src)) result = readHash(src.slice(src.indexOf('#')+1), maxN);
+  else if(/^[URFDLB]+$/i.test(src) && Array.isArray(N) && src.length===faceletLayout(N).count) result = { format:'facelets', model:CubeModel.fromFaceletString(src, N), history:[] };
+  else if(/^[URFDLB]+$/i.test(src) && faceletSize(src.length)) result = readFacelets(src, maxN);
+  else {
+    let moves;
+    try{ moves = parseAlgorithm(src, N); }
+    catch(e){ throw new Error('Not a JSON state, facelet string or link, and not valid moves: '+e.message); }
+    result = { format:'moves', model:new CubeModel(N).applyMoves(moves), history:moves };
+  }
+  const size = result.model.N;
+  if(Math.max(...result.model.dims)>maxN) throw tooLarge(result.model.size, maxN);
+  // the reachability check knows cubes only
+  if(size===null) return result;
+  const problems = validateFacelets(result.model.toFaceletString(), size, names);
+  if(problems.length) throw new Error('Not a reachable position: '+problems.join(' '));
+  return result;
+}
+
+// N of a cube with that many stickers, or 0 when no cube has that many
+function faceletSize(length){
+  const N = Math.round(Math.sqrt(length/6));
+  return N>=1 && 6*N*N===length ? N : 0;
+}
+
+// oversized puzzles are turned down before a model is allocated for them
+function tooLarge(size, maxN){
+  return new Error('Size '+sizeLabel(size)+' is too large (at most '+maxN+' per side)');
+}
+
+// a bare facelet string of a cube; N follows from its length
+function readFacelets(src, maxN){
+  const N = faceletSize(src.length);
+  if(N>maxN) throw tooLarge(N, maxN);
+  return { format:'facelets', model:CubeModel.fromFaceletString(src), history:[] };
+}
+
+function readJSON(src, maxN){
+  let obj;
+  try{ obj = JSON.parse(src); }
+  catch(e){ throw new Error('Invalid JSON: '+e.message); }
+  if(!obj || typeof obj!=='object' || Array.isArray(obj)) throw new Error('The JSON state must be an object {N, cubeState, moveHistory}');
+  if(obj.dims!==undefined){
+    if(!Array.isArray(obj.dims) || obj.dims.length!==3 || !obj.dims.every(d=>Number.isInteger(d) && d>=1)) throw new Error('The JSON state has bad cuboid dims (three positive integers [X, Y, Z])');
+  } else if(!Number.isInteger(obj.N) || obj.N<1) throw new Error('The JSON state needs a cube size N (a positive integer)');
+  if(Math.max(...(obj.dims || [obj.N]))>maxN) throw tooLarge(obj.dims || obj.N, maxN);
+  if(obj.cubeState===undefined) throw new Error('The JSON state has no cubeState');
+  const model = CubeModel.fromJSON(obj);
+  const history = obj.moveHistory===undefined ? [] : obj.moveHistory;
+  if(!Array.isArray(history)) throw new Error('moveHistory must be a list of moves');
+  history.forEach((m, i)=>checkMove(m, model.size, 'moveHistory['+i+']'));
+  const result = { format:'json', model, history:history.map(m=>{
+    const move = { face:m.face, layer:m.layer, turns:m.turns };
+    if(m.toLayer!==undefined && m.toLayer!==m.layer) move.toLayer = m.toLayer;
+    return move;
+  }) };
+  if(obj.pictures!==undefined) result.pictures = checkPictureSettings(obj.pictures);
+  return result;
+}
+
+function checkMove(m, N, where){
+  if(!m || !FACE_ORDER.includes(m.face)) throw new Error(where+' needs a face (one of '+FACE_ORDER.join(' ')+')');
+  const axis = faceToAxis(m.face), layers = layerCount(N, axis);
+  if(!Number.isInteger(m.layer) || m.layer<0 || m.layer>=layers) throw new Error(where+' needs a layer from 0 to '+(layers-1));
+  if(m.toLayer!==undefined && (!Number.isInteger(m.toLayer) || m.toLayer<0 || m.toLayer>=layers)) throw new Error(where+' has a toLayer outside 0 to '+(layers-1));
+  if(!Number.isInteger(m.turns)) throw new Error(where+' needs a whole number of turns');
+  if(m.turns%2 && !quarterTurnsAllowed(N, axis)) throw new Error(where+' is a quarter turn of '+m.face+', which only turns by half turns on a '+sizeLabel(N));
+}
+
+// n is required; without a state the moves are applied to a solved cube
+function readHash(hash, maxN){
+  const params = new URLSearchParams(hash);
+  const nText = params.get('n');
+  if(nText===null) throw new Error('The link has no cube size (n=...)');
+  let N;
+  try{ N = parseSize(nText, Infinity); }
+  catch(e){ throw new Error('The link has an invalid cube size n='+nText); }
+  if(Math.max(...shapeOf(N))>maxN) throw tooLarge(N, maxN);
+  let history = [];
+  if(params.get('moves')){
+    try{ history = parseAlgorithm(params.get('moves'), N); }
+    catch(e){ throw new Error('The moves in the link are invalid: '+e.message); }
+  }
+  const state = params.get('state');
+  if(state===null) return { format:'hash', model:new CubeModel(N).applyMoves(history), history };
+  const count = faceletLayout(N).count;
+  if(state.length!==count) throw new Error('The state in the link has '+state.length+' stickers, a '+sizeLabel(N)+' has '+count);
+  return { format:'hash', model:CubeModel.fromFaceletString(state, N), history };
+}
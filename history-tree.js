@@ -0,0 +1,152 @@
+// ==========================
+// Branching move history
+// Every position reached is a node and every move leads to a child node, so taking moves back and
+// turning something else keeps the earlier line as a branch instead of dropping it. Consecutive
+// user moves of the same layers coalesce (R R is R2, R R' cancels out); a move coalesces only with the
+// move pushed just before it, so moves already in the tree are never rewritten.
+// Headless: the app turns the cube and then tells the tree what it did (push, undo, redo, step).
+// ==========================
+
+import { normalizeTurns, moveLayers } from './cube-model.js';
+
+// same face and the same block of layers
+function sameLayers(a, b){
+  const [alo, ahi] = moveLayers(a), [blo, bhi] = moveLayers(b);
+  return a.face===b.face && alo===blo && ahi===bhi;
+}
+
+export class MoveTree {
+  #listeners = new Set();
+  #nextId = 0;
+  #open = null; // node the last push created with coalesce; the next coalescing push may merge into it
+
+  // a tree holding a single line of moves, positioned at its end
+  constructor(moves=[]){ this.reset(moves); }
+
+  reset(moves=[]){
+    this.nodes = new Map(); // id -> node {id, move, parent, children, last, depth}
+    this.root = this.#node(null, null);
+    this.current = this.root;
+    for(const m of moves) this.#add(m);
+    this.#open = null;
+    this.#emit();
+  }
+
+  // moves from the root to the current node (what the cube went through)
+  get moves(){ return this.path.map(n=>n.move); }
+  get path(){
+    const nodes = [];
+    for(let n=this.current; n.parent; n=n.parent) nodes.push(n);
+    return nodes.reverse();
+  }
+  get length(){ return this.current.depth; }
+  get canUndo(){ return this.current!==this.root; }
+  get canRedo(){ return this.current.last!==null; }
+
+  // the line redo would follow from the current node (each node's most recently visited child)
+  get redoLine(){
+    const nodes = [];
+    for(let n=this.current.last; n; n=n.last) nodes.push(n);
+    return nodes;
+  }
+
+  // Record a move just made from the current node. With coalesce (user moves) it merges into the current
+  // node when the previous push created that node, also with coalesce, and turned the same layers; a move
+  // that was already made from here follows that branch again (also when merging gives a move a sibling
+  // already has)
+  push(move, { coalesce=false }={}){
+    const node = this.current;
+    if(coalesce && node===this.#open && sameLayers(node.move, move)){
+      const turns = normalizeTurns(node.move.turns + move.turns);
+      const sibling = node.parent.children.find(c=>c!==node && sameLayers(c.move, node.move) && c.move.turns===turns);
+      if(turns===0 || sibling) this.#remove(node);
+      if(sibling){
+        this.current.last = sibling;
+        this.current = sibling;
+      } else if(turns!==0) node.move = { ...node.move, turns };
+      if(this.current!==node) this.#open = null;
+    } else {
+      const created = this.#add(move);
+      this.#open = coalesce && created ? this.current : null;
+    }
+    this.#emit();
+    return this.current;
+  }
+
+  // Step back to the parent (the app has turned the cube back); redo returns to this node
+  undo(){
+    if(!this.canUndo) return;
+    this.#open = null;
+    this.current.parent.last = this.current;
+    this.current = this.current.parent;
+    this.#emit();
+  }
+
+  redo(){
+    if(!this.canRedo) return;
+    this.#open = null;
+    this.current = this.current.last;
+    this.#emit();
+  }
+
+  // Move to a neighbouring node (parent or child); see route
+  step(node){
+    if(node===this.current.parent) return this.undo();
+    if(node.parent!==this.current) throw new Error('Not next to the current node');
+    this.#open = null;
+    this.current.last = node;
+    this.current = node;
+    this.#emit();
+  }
+
+  // The way from the current node to another: [{move, node}], the moves that turn the cube along it and the
+  // node each one reaches (back up to the common ancestor with inverse moves, then down)
+  route(target){
+    const up = [], down = [];
+    const ancestors = new Set();
+    for(let n=target; n; n=n.parent) ancestors.add(n);
+    let n = this.current;
+    for(; !ancestors.has(n); n=n.parent) up.push({ move:{ ...n.move, turns:normalizeTurns(-n.move.turns) }, node:n.parent });
+    for(let m=target; m!==n; m=m.parent) down.push({ move:m.move, node:m });
+    return up.concat(down.reverse());
+  }
+
+  // Listen for changes; returns an unsubscribe function
+  subscribe(fn){
+    this.#listeners.add(fn);
+    return ()=>this.#listeners.delete(fn);
+  }
+
+  #node(move, parent){
+    const node = { id:this.#nextId++, move, parent, children:[], last:null, depth:parent ? parent.depth+1 : 0 };
+    this.nodes.set(node.id, node);
+    return node;
+  }
+
+  // go to the child for move, made if there is none yet; returns whether it is new
+  #add(move){
+    const turns = normalizeTurns(move.turns);
+    let child = this.current.children.find(c=>sameLayers(c.move, move) && c.move.turns===turns);
+    const created = !child;
+    if(created){
+      child = this.#node({ ...move, turns }, this.current);
+      this.current.children.push(child);
+    }
+    this.current.last = child;
+    this.current = child;
+    return created;
+  }
+
+  // drop a leaf that cancelled out; the cube is back at its parent
+  #remove(node){
+    const parent = node.parent;
+    parent.children.splice(parent.children.indexOf(node), 1);
+    if(parent.last===node) parent.last = null;
+    this.nodes.delete(node.id);
+    this.current = parent;
+  }
+
+  #emit(){
+    for(const fn of this.#listeners) fn(this);
+  }
+}
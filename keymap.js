@@ -0,0 +1,115 @@
+// ==========================
+// Keyboard mapping for virtual cubing
+// A keymap binds key names to moves in notation ("R", "R'", "Rw", "M", "y'"). Digits typed before a
+// move pick the layer: 2 then R is 2R (the second layer), 3 then Rw is 3Rw. Digits bound to a move
+// in the keymap turn that move instead. Headless: the app passes key names from keyName(event).
+// ==========================
+
+const STORAGE_KEY = 'rubik-keymap';
+const PREFIX_TIMEOUT = 1500; // ms a typed layer number waits for its move
+
+// Every move the rebinding UI offers, in display order
+export const KEY_ACTIONS = [
+  'R', "R'", 'L', "L'", 'U', "U'", 'D', "D'", 'F', "F'", 'B', "B'",
+  'Rw', "Rw'", 'Lw', "Lw'", 'Uw', "Uw'", 'Dw', "Dw'", 'Fw', "Fw'", 'Bw', "Bw'",
+  'M', "M'", 'E', "E'", 'S', "S'",
+  'x', "x'", 'y', "y'", 'z', "z'"
+];
+
+function letterBindings(){
+  const bindings = {};
+  for(const f of ['U','D','L','R','F','B']){
+    bindings[f.toLowerCase()] = f;
+    bindings['shift+'+f.toLowerCase()] = f+"'";
+  }
+  for(const s of ['M','E','S']){
+    bindings[s.toLowerCase()] = s;
+    bindings['shift+'+s.toLowerCase()] = s+"'";
+  }
+  for(const r of ['x','y','z']){
+    bindings[r] = r;
+    bindings['shift+'+r] = r+"'";
+  }
+  return bindings;
+}
+
+export const KEYMAP_PRESETS = {
+  // face letters, Shift for prime (the app's original keys)
+  letters: { label:'Face letters (Shift = prime)', bindings:letterBindings() },
+  // the layout of cstimer / qqtimer virtual cubes: both hands on the home row
+  cstimer: {
+    label: 'Virtual cube (cstimer / qqtimer)',
+    bindings: {
+      i:'R', k:"R'", d:'L', e:"L'", j:'U', f:"U'", s:'D', l:"D'", h:'F', g:"F'", w:'B', o:"B'",
+      u:'Rw', m:"Rw'", v:'Lw', r:"Lw'", c:'Uw', ',':"Uw'", z:'Dw', '/':"Dw'",
+      5:'M', 6:'M', x:"M'", '.':"M'",
+      t:'x', y:'x', b:"x'", n:"x'", ';':'y', a:"y'", p:'z', q:"z'"
+    }
+  }
+};
+
+// Key name of a keyboard event: the key in lower case, with "shift+" for shifted letters
+export function keyName(e){
+  const key = e.key.length===1 ? e.key.toLowerCase() : e.key;
+  return (e.shiftKey && /^[a-z]$/.test(key) ? 'shift+' : '') + key;
+}
+
+// How a key name is shown: shift+r as Shift+R, ; as ;
+export function keyLabel(name){
+  if(name===' ') return 'Space';
+  return name.replace('shift+', 'Shift+').replace(/(^|\+)([a-z])$/, (m, p, c)=>p+c.toUpperCase());
+}
+
+// Turns key presses into moves, collecting layer numbers typed before them
+export class KeyInput {
+  constructor(bindings){
+    this.bindings = bindings;
+    this.prefix = '';
+    this.prefixAt = 0;
+  }
+
+  // Returns the move (notation) the key turns, or null when it turns none (digits only extend the prefix)
+  press(name, now=performance.now()){
+    if(this.prefix && now-this.prefixAt>PREFIX_TIMEOUT) this.prefix = '';
+    // Shift with a key that has no shifted binding (or caps lock) works like the plain key
+    const token = this.bindings[name] || this.bindings[name.replace('shift+', '')];
+    if(!token){
+      if(/^\d$/.test(name)){ this.prefix += name; this.prefixAt = now; }
+      else if(name==='Escape') this.prefix = '';
+      return null;
+    }
+    const prefix = this.prefix;
+    this.prefix = '';
+    // a layer number applies to face moves (R, Rw); slices and rotations ignore it
+    return prefix && /^[URFDLB]/.test(token) ? prefix+token : token;
+  }
+
+  // keys bound to a move
+  keysFor(token){
+    return Object.keys(this.bindings).filter(k=>this.bindings[k]===token);
+  }
+
+  // Bind a key to a move, replacing whatever the key did and the move's other keys
+  rebind(token, name){
+    for(const k of this.keysFor(token)) delete this.bindings[k];
+    this.bindings[name] = token;
+  }
+}
+
+// {preset, bindings}: the saved keymap, or the face-letter preset
+export function loadKeymap(storage=globalThis.localStorage){
+  try{
+    const saved = storage && JSON.parse(storage.getItem(STORAGE_KEY));
+    if(saved && saved.bindings && typeof saved.bindings==='object'){
+      const bindings = {};
+      for(const [key, token] of Object.entries(saved.bindings)) if(KEY_ACTIONS.includes(token)) bindings[key] = token;
+      return { preset:KEYMAP_PRESETS[saved.preset] ? saved.preset : 'custom', bindings };
+    }
+  }catch(e){ /* fall back to the preset */ }
+  return { preset:'letters', bindings:{ ...KEYMAP_PRESETS.letters.bindings } };
+}
+
+export function saveKeymap(keymap, storage=globalThis.localStorage){
+  try{ if(storage) storage.setItem(STORAGE_KEY, JSON.stringify(keymap)); }
+  catch(e){ /* storage full or disabled: the keymap lasts for this visit */ }
+}
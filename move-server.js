@@ -0,0 +1,88 @@
+// ==========================
+// Local stand-in for a smart cube bridge: a WebSocket server that streams moves to the app (WebSocketSource
+// in move-sources.js). Run with `node move-server.js [port] [recording]` (Node 20+, no packages needed), then
+// connect the app to ws://localhost:8765 (or the port given).
+//   Type moves (R U R' U') and Enter to send them to every connected page, stamped with the time they were
+//   typed; a line starting with { or [ is sent as it is, so any message of the protocol can be tried.
+//   With a recording (a file in the format of parseRecording) every page that connects gets it replayed at
+//   its own pace, as a bridge streaming a solve would.
+// ==========================
+
+import { createServer } from 'node:http';
+import { createHash } from 'node:crypto';
+import { readFileSync } from 'node:fs';
+import { createInterface } from 'node:readline';
+import { parseRecording } from './move-sources.js';
+import { formatMove } from './notation.js';
+
+const port = parseInt(process.argv[2] || 8765);
+const recordingFile = process.argv[3];
+// read on the largest size, so that any move of the file parses; moves keep their notation when sent
+const READ_N = 20;
+const recording = recordingFile ? parseRecording(readFileSync(recordingFile, 'utf8'), READ_N) : null;
+const started = Date.now();
+const clients = new Set();
+
+// one unfragmented frame from the server (unmasked)
+function frame(opcode, payload=Buffer.alloc(0)){
+  const n = payload.length;
+  const head = n<126 ? Buffer.from([0x80|opcode, n])
+    : n<65536 ? Buffer.from([0x80|opcode, 126, n>>8, n&255])
+    : Buffer.concat([Buffer.from([0x80|opcode, 127]), (b=>{ b.writeBigUInt64BE(BigInt(n)); return b; })(Buffer.alloc(8))]);
+  return Buffer.concat([head, payload]);
+}
+
+function send(socket, text){ socket.write(frame(0x1, Buffer.from(text))); }
+
+// The pages only send control frames (close, ping); their text is logged
+function onData(socket, data){
+  const opcode = data[0] & 0x0f, masked = data[1] & 0x80;
+  let length = data[1] & 0x7f, offset = 2;
+  if(length===126){ length = data.readUInt16BE(2); offset = 4; }
+  else if(length===127){ length = Number(data.readBigUInt64BE(2)); offset = 10; }
+  const mask = masked ? data.subarray(offset, offset+4) : null;
+  const payload = Buffer.from(data.subarray(offset + (masked ? 4 : 0), offset + (masked ? 4 : 0) + length));
+  if(mask) for(let i=0;i<payload.length;i++) payload[i] ^= mask[i%4];
+  if(opcode===0x8){ socket.end(frame(0x8, payload.subarray(0, 2))); return; }
+  if(opcode===0x9){ socket.write(frame(0xA, payload)); return; }
+  if(opcode===0x1) console.log('page:', payload.toString());
+}
+
+// the recording's moves at its pace, stamped with the server's clock like typed moves
+function replay(socket){
+  const origin = recording[0].time;
+  for(const { move, time } of recording){
+    setTimeout(()=>{ if(clients.has(socket)) send(socket, JSON.stringify({ move:formatMove(move, READ_N), time:Date.now()-started })); }, time-origin);
+  }
+}
+
+const server = createServer((req, res)=>{
+  res.writeHead(426, { 'Content-Type':'text/plain' });
+  res.end('This is a WebSocket server for the cube app\n');
+});
+
+server.on('upgrade', (req, socket)=>{
+  const key = req.headers['sec-websocket-key'];
+  if(!key){ socket.end('HTTP/1.1 400 Bad Request\r\n\r\n'); return; }
+  const accept = createHash('sha1').update(key+'258EAFA5-E914-47DA-95CA-C5AB0DC85B11').digest('base64');
+  socket.write('HTTP/1.1 101 Switching Protocols\r\nUpgrade: websocket\r\nConnection: Upgrade\r\nSec-WebSocket-Accept: '+accept+'\r\n\r\n');
+  clients.add(socket);
+  console.log('page connected ('+clients.size+')');
+  socket.on('data', data=>onData(socket, data));
+  socket.on('close', ()=>{ clients.delete(socket); console.log('page left ('+clients.size+')'); });
+  socket.on('error', ()=>clients.delete(socket));
+  if(recording) replay(socket);
+});
+
+server.listen(port, ()=>{
+  console.log('Move server on ws://localhost:'+port+(recording ? ', replaying '+recordingFile+' ('+recording.length+' moves)' : ''));
+  console.log('Type moves and press Enter to send them; Ctrl+C stops the server.');
+});
+
+createInterface({ input:process.stdin }).on('line', line=>{
+  const text = line.trim();
+  if(!text) return;
+  const message = text.startsWith('{') || text.startsWith('[') ? text : JSON.stringify({ moves:text, time:Date.now()-started });
+  for(const socket of clients) send(socket, message);
+  console.log('sent to '+clients.size+' page(s): '+message);
+});
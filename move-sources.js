@@ -0,0 +1,198 @@
+// ==========================
+// Move sources: moves that come from outside the page (a bridge to a Bluetooth smart cube, a test harness,
+// a recording) and are fed into the same queue as the buttons and keys
+// A source is started with the puzzle size and reports through subscribe():
+//   {type:'move', move, time}            a move; time is ms since the source's first move
+//   {type:'status', status, message}     idle | connecting | connected | playing | done | error
+// Messages (WebSocket frames, or the lines of a recording):
+//   {"move":"R'", "time":1520}           one move; time (ms, from any origin) is optional
+//   {"moves":"R U R' U'", "time":1600}   several moves at once
+//   [{"move":"R"}, {"move":"U"}]         a list of messages
+//   R@1520 U@1610 R'@1700                plain move text, with timestamps as in reconstructions
+// Moves without a time take the time they arrived (WebSocket) or follow the one before (recordings).
+// ==========================
+
+import { parseAlgorithm } from './notation.js';
+
+// gap between the untimed moves of a recording
+const UNTIMED_GAP = 300;
+
+// [{move, time}] of one message (text or an already parsed object); time is null when the message has none.
+// Throws an Error saying what is wrong
+export function parseMessage(data, N){
+  if(typeof data==='string'){
+    const text = data.trim();
+    if(text.startsWith('{') || text.startsWith('[')){
+      let obj;
+      try{ obj = JSON.parse(text); }
+      catch(e){ throw new Error('Not valid JSON: '+e.message); }
+      return parseMessage(obj, N);
+    }
+    return parseTimedText(text, N);
+  }
+  if(Array.isArray(data)) return data.flatMap(m=>parseMessage(m, N));
+  if(!data || typeof data!=='object') throw new Error('A message is move text or an object {move} or {moves}');
+  const text = data.move ?? data.moves;
+  if(typeof text!=='string') throw new Error('The message has no move or moves text');
+  if(data.time!==undefined && !Number.isFinite(data.time)) throw new Error('time must be a number of milliseconds');
+  return parseAlgorithm(text, N).map(move=>({ move, time:data.time ?? null }));
+}
+
+// move text where a token may carry its time (R@1520)
+function parseTimedText(text, N){
+  const list = [];
+  for(const token of text.split(/\s+/).filter(Boolean)){
+    const m = /^(.+?)(?:@(\d+(?:\.\d+)?))?$/.exec(token);
+    for(const move of parseAlgorithm(m[1], N)) list.push({ move, time:m[2]===undefined ? null : parseFloat(m[2]) });
+  }
+  return list;
+}
+
+// [{move, time}] of a recording: one message per line, blank lines and // comments skipped. Untimed moves
+// follow the move before by UNTIMED_GAP ms. Throws an Error naming the bad line
+export function parseRecording(text, N){
+  const list = [];
+  String(text).split('\n').forEach((raw, i)=>{
+    const trimmed = raw.trim();
+    const line = trimmed.startsWith('{') || trimmed.startsWith('[') ? trimmed : trimmed.replace(/\/\/.*/, '').trim();
+    if(!line) return;
+    try{ list.push(...parseMessage(line, N)); }
+    catch(e){ throw new Error('Line '+(i+1)+': '+e.message); }
+  });
+  if(!list.length) throw new Error('The recording has no moves');
+  let last = null;
+  for(const entry of list){
+    if(entry.time===null) entry.time = last===null ? 0 : last+UNTIMED_GAP;
+    last = entry.time;
+  }
+  return list;
+}
+
+// Common part of the sources: listeners, status and turning messages into moves. Adapters implement start(N)
+// and stop(), and call receive() with every message (or emitMove() with moves they parsed themselves) and
+// setStatus() when their connection changes
+export class MoveSource {
+  #listeners = new Set();
+  #origin = null;
+
+  constructor(label){
+    this.label = label;
+    this.N = 3; // size the moves are read for (a number or [X, Y, Z], as in cube-model.js)
+    this.status = 'idle';
+    this.message = '';
+  }
+
+  get active(){ return this.status==='connecting' || this.status==='connected' || this.status==='playing'; }
+
+  start(N){
+    this.N = N;
+    this.#origin = null;
+  }
+
+  stop(){ this.setStatus('idle'); }
+
+  // Emit the moves of a message. now (ms) stands in for missing times. A bad message is reported in the
+  // status message and skipped; returns whether the message was used
+  receive(data, now=performance.now()){
+    let list;
+    try{ list = parseMessage(data, this.N); }
+    catch(e){ this.setStatus(this.status, 'Ignored a message: '+e.message); return false; }
+    for(const { move, time } of list) this.emitMove(move, time ?? now);
+    return true;
+  }
+
+  // time is in the adapter's own clock; the first move is at 0
+  emitMove(move, time){
+    if(this.#origin===null) this.#origin = time;
+    this.#emit({ type:'move', move, time:Math.max(0, time-this.#origin) });
+  }
+
+  setStatus(status, message=''){
+    this.status = status;
+    this.message = message;
+    this.#emit({ type:'status', status, message });
+  }
+
+  // Listen for moves and status changes; returns an unsubscribe function
+  subscribe(fn){
+    this.#listeners.add(fn);
+    return ()=>this.#listeners.delete(fn);
+  }
+
+  #emit(e){
+    for(const fn of this.#listeners) fn(e, this);
+  }
+}
+
+// Moves streamed over a WebSocket, one message per frame (see the top of the file). move-server.js is a
+// local stand-in for a real bridge
+export class WebSocketSource extends MoveSource {
+  #socket = null;
+
+  constructor(url, { WebSocket:Socket=globalThis.WebSocket }={}){
+    super(url);
+    this.url = url;
+    this.Socket = Socket;
+  }
+
+  start(N){
+    this.stop();
+    super.start(N);
+    if(!this.Socket) return this.setStatus('error', 'WebSockets are not available here');
+    let socket;
+    try{ socket = new this.Socket(this.url); }
+    catch(e){ return this.setStatus('error', 'Bad address '+this.url+': '+e.message); }
+    this.#socket = socket;
+    this.setStatus('connecting', 'Connecting to '+this.url);
+    socket.onopen = ()=>{ if(this.#socket===socket) this.setStatus('connected', 'Connected to '+this.url); };
+    socket.onmessage = e=>{ if(this.#socket===socket) this.receive(String(e.data)); };
+    socket.onerror = ()=>{ if(this.#socket===socket) this.setStatus('error', 'Could not reach '+this.url); };
+    socket.onclose = ()=>{
+      if(this.#socket!==socket) return;
+      this.#socket = null;
+      if(this.status!=='error') this.setStatus('idle', 'The connection to '+this.url+' was closed');
+    };
+  }
+
+  stop(){
+    const socket = this.#socket;
+    this.#socket = null;
+    if(socket) socket.close();
+    if(this.status!=='idle') super.stop();
+  }
+}
+
+// A recording (see parseRecording) played back at its own pace; speed 2 plays it twice as fast
+export class ReplaySource extends MoveSource {
+  #timer = null;
+
+  constructor(text, { label='Recording', speed=1 }={}){
+    super(label);
+    this.text = text;
+    this.speed = speed;
+  }
+
+  start(N){
+    this.stop();
+    super.start(N);
+    let list;
+    try{ list = parseRecording(this.text, N); }
+    catch(e){ return this.setStatus('error', e.message); }
+    this.setStatus('playing', 'Replaying '+this.label+' ('+list.length+' moves)');
+    let i = 0;
+    const next = ()=>{
+      this.#timer = null;
+      const { move, time } = list[i++];
+      this.emitMove(move, time);
+      if(i<list.length) this.#timer = setTimeout(next, (list[i].time-time)/this.speed);
+      else this.setStatus('done', 'Replayed '+this.label+' ('+list.length+' moves)');
+    };
+    this.#timer = setTimeout(next, 0);
+  }
+
+  stop(){
+    if(this.#timer!==null) clearTimeout(this.#timer);
+    this.#timer = null;
+    if(this.status!=='idle') super.stop();
+  }
+}
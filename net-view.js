@@ -0,0 +1,101 @@
+// ==========================
+// 2D unfolded net of a CubeModel as SVG
+//       U
+//     L F R B
+//       D
+// Each face is drawn as seen from outside, rows and columns as in faceletToCubie (cuboid faces are rectangles).
+// NetView is the live, clickable panel; netSvg renders the same picture as a standalone SVG string.
+// ==========================
+
+import { FACE_ORDER, shapeOf, faceDims, sizeLabel } from './cube-model.js';
+
+const SVG_NS = 'http://www.w3.org/2000/svg';
+
+// column and row of each face in the net
+export const NET_POSITIONS = { U:[1,0], L:[0,1], F:[1,1], R:[2,1], B:[3,1], D:[1,2] };
+const GAP = 0.25; // between faces, in stickers
+
+// widths of the net's columns and heights of its rows, in stickers
+function netTracks(N){
+  const [X, Y, Z] = shapeOf(N);
+  return { columns:[Z, X, Z, X], rows:[Z, Y, Z] };
+}
+
+// start of track i, with a gap after every track
+const trackStart = (tracks, i)=>tracks.slice(0, i).reduce((a, t)=>a+t+GAP, 0);
+
+// viewBox of a net: one unit per sticker
+function netViewBox(N){
+  const { columns, rows } = netTracks(N);
+  return [-GAP, -GAP, trackStart(columns, 4)+GAP, trackStart(rows, 3)+GAP];
+}
+
+// rectangle of one sticker in net units
+function cellRect(N, face, row, col){
+  const [fx, fy] = NET_POSITIONS[face], { columns, rows } = netTracks(N);
+  return { x:trackStart(columns, fx) + col + 0.05, y:trackStart(rows, fy) + row + 0.05, width:0.9, height:0.9, rx:0.1 };
+}
+
+// every sticker of a net: [face, row, col]
+function netCells(N){
+  const cells = [];
+  for(const face of FACE_ORDER){
+    const { rows, cols } = faceDims(N, face);
+    for(let row=0;row<rows;row++) for(let col=0;col<cols;col++) cells.push([face, row, col]);
+  }
+  return cells;
+}
+
+// Standalone SVG document of the net (for image export); cell is the sticker size in pixels
+export function netSvg(model, colors, { cell=24, background='none' }={}){
+  const N = model.size, box = netViewBox(N);
+  const rects = [];
+  for(const [face, row, col] of netCells(N)){
+    const r = cellRect(N, face, row, col);
+    rects.push(`<rect x="${r.x}" y="${r.y}" width="${r.width}" height="${r.height}" rx="${r.rx}" fill="${colors[model.getSticker(face, row, col)]}" stroke="#000" stroke-width="0.04"/>`);
+  }
+  return `<svg xmlns="${SVG_NS}" width="${Math.round(box[2]*cell)}" height="${Math.round(box[3]*cell)}" viewBox="${box.join(' ')}">`
+    + (background==='none' ? '' : `<rect x="${box[0]}" y="${box[1]}" width="${box[2]}" height="${box[3]}" fill="${background}"/>`)
+    + rects.join('') + '</svg>';
+}
+
+export class NetView {
+  // colors maps face letters to CSS colors; onPick(face, row, col) is called for clicked stickers
+  constructor(container, colors, onPick=null){
+    this.container = container;
+    this.colors = colors;
+    this.onPick = onPick;
+    this.size = '';
+    this.cells = [];
+    this.svg = document.createElementNS(SVG_NS, 'svg');
+    this.svg.classList.add('net');
+    this.svg.addEventListener('click', e=>{
+      const cell = e.target.closest('rect[data-face]');
+      if(cell && this.onPick) this.onPick(cell.dataset.face, parseInt(cell.dataset.row), parseInt(cell.dataset.col));
+    });
+    container.appendChild(this.svg);
+  }
+
+  // Redraw from the model, only the cells of the given facelet indices when there are some;
+  // the cells are rebuilt only when the size changes
+  render(model, changed=null){
+    if(sizeLabel(model.size)!==this.size){ this.#build(model.size); changed = null; }
+    const paint = cell=>cell.rect.setAttribute('fill', this.colors[model.getSticker(cell.face, cell.row, cell.col)]);
+    if(changed) for(const i of changed) paint(this.cells[i]);
+    else this.cells.forEach(paint);
+  }
+
+  #build(N){
+    this.size = sizeLabel(N);
+    this.cells = [];
+    this.svg.textContent = '';
+    this.svg.setAttribute('viewBox', netViewBox(N).join(' '));
+    for(const [face, row, col] of netCells(N)){
+      const rect = document.createElementNS(SVG_NS, 'rect');
+      for(const [key, value] of Object.entries(cellRect(N, face, row, col))) rect.setAttribute(key, value);
+      rect.dataset.face = face; rect.dataset.row = row; rect.dataset.col = col;
+      this.svg.appendChild(rect);
+      this.cells.push({ face, row, col, rect });
+    }
+  }
+}
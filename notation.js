@@ -0,0 +1,146 @@
+// ==========================
+// Move notation (WCA / SiGN) — parse algorithm text into moves and format moves as text
+// Moves are the internal {face, layer, turns} objects used by CubeModel; wide moves, slices and
+// rotations are one move over a range of layers: {face, layer, toLayer, turns}, outermost layer first.
+// N is the cube size, or [X, Y, Z] for a cuboid (layers are then counted along each face's own axis)
+// ==========================
+
+import { faceSign, faceToAxis, normalizeTurns, moveLayers, layerCount, quarterTurnsAllowed, sizeLabel } from './cube-model.js';
+
+// slice moves follow the direction of a face: M like L, E like D, S like F
+const SLICE_FACE = { M:'L', E:'D', S:'F' };
+// whole-cube rotations follow a face: x like R, y like U, z like F
+const ROTATION_FACE = { x:'R', y:'U', z:'F' };
+const OPPOSITE = { U:'D', D:'U', R:'L', L:'R', F:'B', B:'F' };
+
+// absolute layer index of the layer `depth` (1 = outer layer) counted from face
+export function depthToLayer(face, depth, N){ return faceSign(face)>0 ? faceLayers(face, N)-depth : depth-1; }
+// depth (1 = outer layer) of an absolute layer index counted from face
+export function layerToDepth(face, layer, N){ return faceSign(face)>0 ? faceLayers(face, N)-layer : layer+1; }
+
+// layers behind a face
+function faceLayers(face, N){ return layerCount(N, faceToAxis(face)); }
+
+// the move turning depths from..to of face; a single layer has no toLayer
+function blockMove(face, from, to, turns, N){
+  const move = { face, layer:depthToLayer(face, from, N), turns };
+  if(to!==from) move.toLayer = depthToLayer(face, to, N);
+  return move;
+}
+
+// depths [from, to] (1 = outer layer) a move turns, counted from its face
+function moveDepths(move, N){
+  const [a, b] = moveLayers(move).map(l=>layerToDepth(move.face, l, N));
+  return [Math.min(a, b), Math.max(a, b)];
+}
+
+export function invertMoves(moves){
+  return moves.slice().reverse().map(m=>({ ...m, turns:normalizeTurns(-m.turns) }));
+}
+
+// One move token: optional layer prefix (n or a-b), the letter, optional w, amount and prime
+const TOKEN = /^(?:(\d+)(?:-(\d+))?)?([URFDLBurfdlbMESxyz])(w?)(\d*)(['’]?)/;
+
+// Parse algorithm text for an NxNxN cube (or a cuboid) into a list of moves.
+// Supports R U' F2, wide moves Rw / r / 3Rw / 3r, inner layers 2R, layer ranges 2-3r,
+// slices M E S, rotations x y z, groups (R U R' U')3 and (R U)', and // comments.
+// Throws an Error naming the offending token and its position.
+export function parseAlgorithm(text, N){
+  const src = String(text).replace(/\/\/[^\n]*/g, ' ');
+  let pos = 0;
+
+  function fail(msg){ throw new Error(msg+' at position '+(pos+1)); }
+
+  function skipSpace(){ while(pos<src.length && /[\s,]/.test(src[pos])) pos++; }
+
+  // amount and prime after a move or group: 2, ', 2', 3
+  function readSuffix(){
+    const m = /^(\d*)(['’]?)/.exec(src.slice(pos));
+    pos += m[0].length;
+    const amount = m[1] ? parseInt(m[1]) : 1;
+    return { amount, prime: m[2]!=='' };
+  }
+
+  function parseToken(){
+    const m = TOKEN.exec(src.slice(pos));
+    if(!m) fail('Unexpected "'+src[pos]+'"');
+    const [token, a, b, letter, w, amountText, prime] = m;
+    const amount = amountText ? parseInt(amountText) : 1;
+    const turns = normalizeTurns(prime ? -amount : amount);
+    let face, from, to;
+    if(SLICE_FACE[letter] || ROTATION_FACE[letter]){
+      if(a || w) fail('Layer prefix or w not allowed on "'+letter+'"');
+      if(ROTATION_FACE[letter]){ face = ROTATION_FACE[letter]; from = 1; to = faceLayers(face, N); }
+      else {
+        face = SLICE_FACE[letter];
+        if(faceLayers(face, N)<3) fail('"'+letter+'" needs '+(Array.isArray(N) ? 'at least 3 layers' : 'a cube of size 3 or more'));
+        from = 2; to = faceLayers(face, N)-1;
+      }
+    } else {
+      const wide = w==='w' || letter===letter.toLowerCase();
+      face = letter.toUpperCase();
+      if(b){ from = parseInt(a); to = parseInt(b); }
+      else if(wide){ from = 1; to = a ? parseInt(a) : 2; }
+      else { from = to = a ? parseInt(a) : 1; }
+      if(from<1 || from>to) fail('Bad layer range in "'+token+'"');
+      if(to>faceLayers(face, N)) fail('Layer '+to+' out of range for '+sizeLabel(N)+' in "'+token+'"');
+    }
+    if(turns%2 && !quarterTurnsAllowed(N, faceToAxis(face))) fail('"'+token+'" is a quarter turn of a layer that is not square on the '+sizeLabel(N)+' (use a half turn)');
+    pos += token.length;
+    return turns===0 ? [] : [blockMove(face, from, to, turns, N)];
+  }
+
+  function parseSequence(nested){
+    const moves = [];
+    for(;;){
+      skipSpace();
+      if(pos>=src.length){ if(nested) fail('Missing ")"'); return moves; }
+      const ch = src[pos];
+      if(ch===')'){ if(!nested) fail('Unmatched ")"'); return moves; }
+      if(ch==='('){
+        pos++;
+        const inner = parseSequence(true);
+        pos++; // closing paren
+        const { amount, prime } = readSuffix();
+        const block = prime ? invertMoves(inner) : inner;
+        for(let i=0;i<amount;i++) moves.push(...block.map(m=>({ ...m })));
+        continue;
+      }
+      moves.push(...parseToken());
+    }
+  }
+
+  return parseSequence(false);
+}
+
+function turnSuffix(turns){
+  const t = normalizeTurns(turns);
+  return t===-1 ? "'" : t===2 ? '2' : '';
+}
+
+// token for `turns` of face over depths from..to
+function blockToken(face, from, to, turns, N){
+  const layers = faceLayers(face, N);
+  if(from===1 && to===layers && layers>1){
+    const letter = Object.keys(ROTATION_FACE).find(k=>ROTATION_FACE[k]===face || ROTATION_FACE[k]===OPPOSITE[face]);
+    return letter + turnSuffix(ROTATION_FACE[letter]===face ? turns : -turns);
+  }
+  if(from===2 && to===layers-1){
+    const letter = Object.keys(SLICE_FACE).find(k=>SLICE_FACE[k]===face || SLICE_FACE[k]===OPPOSITE[face]);
+    return letter + turnSuffix(SLICE_FACE[letter]===face ? turns : -turns);
+  }
+  if(from===to) return (from>1 ? from : '') + face + turnSuffix(turns);
+  if(from===1) return (to>2 ? to : '') + face + 'w' + turnSuffix(turns);
+  return from + '-' + to + face + 'w' + turnSuffix(turns);
+}
+
+// Notation for a single move, e.g. R, 2R', Rw, M, x
+export function formatMove(move, N){
+  const [from, to] = moveDepths(move, N);
+  return blockToken(move.face, from, to, move.turns, N);
+}
+
+// Notation for a move list, one token per move
+export function formatMoves(moves, N){
+  return moves.map(m=>formatMove(m, N)).join(' ');
+}
@@ -0,0 +1,45 @@
+// ==========================
+// Picture cubes: stickers drawn from a picture per face instead of plain colors
+//   numbers   every sticker shows its number on its face (1 to N*N, row by row)
+//   images    an uploaded image per face (faces without one keep their color)
+// Every sticker shows its own part of its home face's picture, turned as far as the sticker has
+// turned (CubeModel origins and spins), so these are supercubes: a turned center is visible and the
+// cube is only solved with every center the right way round. The choice is kept in localStorage.
+// ==========================
+
+import { FACE_ORDER } from './cube-model.js';
+
+const STORAGE_KEY = 'rubik-pictures';
+
+export const PICTURE_MODES = { off:'Plain colors', numbers:'Numbered stickers', images:'Pictures' };
+
+// Images are stored as data URLs of at most this many pixels a side (the app scales uploads down)
+export const PICTURE_SIZE = 512;
+
+// {mode, images}: a mode of PICTURE_MODES and a data URL (or null) per face. Throws an Error saying what is
+// wrong with settings read from an import
+export function checkPictureSettings(obj){
+  if(!obj || typeof obj!=='object' || Array.isArray(obj)) throw new Error('pictures must be an object {mode, images}');
+  if(!PICTURE_MODES[obj.mode]) throw new Error('pictures.mode must be one of '+Object.keys(PICTURE_MODES).join(', '));
+  const images = {};
+  for(const f of FACE_ORDER){
+    const url = obj.images?.[f];
+    if(url!==undefined && url!==null && !(typeof url==='string' && url.startsWith('data:image/'))) throw new Error('pictures.images.'+f+' must be an image data URL');
+    images[f] = url || null;
+  }
+  return { mode:obj.mode, images };
+}
+
+// the saved choice, or plain colors
+export function loadPictureSettings(storage=globalThis.localStorage){
+  try{
+    const saved = storage && JSON.parse(storage.getItem(STORAGE_KEY));
+    if(saved) return checkPictureSettings(saved);
+  }catch(e){ /* fall back to plain colors */ }
+  return { mode:'off', images:Object.fromEntries(FACE_ORDER.map(f=>[f, null])) };
+}
+
+export function savePictureSettings(settings, storage=globalThis.localStorage){
+  try{ if(storage) storage.setItem(STORAGE_KEY, JSON.stringify({ mode:settings.mode, images:settings.images })); }
+  catch(e){ /* storage full (large images) or disabled: the pictures last for this visit */ }
+}
@@ -0,0 +1,101 @@
+// ==========================
+// Move sequence player: play/pause, single steps and seeking over a list of moves
+// Headless: the app passes a step(move, direction, animate) function that turns the cube
+// (direction +1 plays the move, -1 takes it back) and returns a promise that settles when done.
+// ==========================
+
+import { normalizeTurns } from './cube-model.js';
+
+export class MovePlayer {
+  #listeners = new Set();
+  #queue = Promise.resolve();
+
+  constructor(step){
+    this.step = step;
+    this.moves = [];
+    this.position = 0; // number of moves of the sequence currently applied
+    this.playing = false;
+    this.label = '';
+  }
+
+  get length(){ return this.moves.length; }
+  get loaded(){ return this.moves.length>0; }
+
+  // Load a sequence to be played from the current cube state (nothing is applied yet), or one whose
+  // first `position` moves the cube already shows
+  load(moves, label='', position=0){
+    this.playing = false;
+    this.moves = moves.map(m=>({ ...m, turns:normalizeTurns(m.turns) }));
+    this.position = Math.max(0, Math.min(this.moves.length, position));
+    this.label = label;
+    this.#emit();
+    return this;
+  }
+
+  // Forget the sequence (the cube stays as it is)
+  clear(){
+    if(!this.loaded) return;
+    this.load([]);
+  }
+
+  play(){
+    if(this.playing || this.position>=this.length) return this.#queue;
+    this.playing = true;
+    this.#emit();
+    const loop = ()=>{
+      if(!this.playing || this.position>=this.length){ this.playing = false; this.#emit(); return; }
+      return this.#advance(1, true).then(loop);
+    };
+    return this.#enqueue(loop);
+  }
+
+  pause(){
+    if(!this.playing) return;
+    this.playing = false;
+    this.#emit();
+  }
+
+  toggle(){ return this.playing ? this.pause() : this.play(); }
+
+  stepForward(){ this.pause(); return this.#enqueue(()=>this.#advance(1, true)); }
+  stepBack(){ this.pause(); return this.#enqueue(()=>this.#advance(-1, true)); }
+
+  // Jump to a position without animation
+  seek(position){
+    this.pause();
+    return this.#enqueue(async ()=>{
+      const target = Math.max(0, Math.min(this.length, position));
+      const moves = this.moves;
+      while(this.position!==target && moves===this.moves) await this.#advance(target>this.position ? 1 : -1, false, true);
+      this.#emit();
+    });
+  }
+
+  // Listen for position / play state changes; returns an unsubscribe function
+  subscribe(fn){
+    this.#listeners.add(fn);
+    return ()=>this.#listeners.delete(fn);
+  }
+
+  // position changes once the step has finished, so listeners always see what the cube shows
+  async #advance(direction, animate, quiet=false){
+    if(direction>0 && this.position>=this.length) return;
+    if(direction<0 && this.position<=0) return;
+    const moves = this.moves;
+    await this.step(moves[direction>0 ? this.position : this.position-1], direction, animate);
+    if(moves!==this.moves) return; // a new sequence was loaded meanwhile
+    this.position += direction;
+    if(!quiet) this.#emit();
+  }
+
+  // one operation at a time, in the order they were asked for; a failed one does not block the rest
+  #enqueue(fn){
+    const run = this.#queue.then(fn);
+    this.#queue = run.catch(()=>{});
+    return run;
+  }
+
+  #emit(){
+    for(const fn of this.#listeners) fn(this);
+  }
+}
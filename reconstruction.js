@@ -0,0 +1,96 @@
+// ==========================
+// Reconstructions: a scramble and a solution split into commented steps
+//   Scramble: D2 F' R2 U ...
+//   y' R' D' F2            // cross
+//   U R U' R'              // F2L 1
+//   R@1520 U@1610 R'@1700  // F2L 2  (optional timestamps: ms since the start of the solve)
+// A line with moves and a comment is a step named by the comment; a comment on a line of its own
+// names the lines after it, up to the next comment. A step named "scramble" is the scramble.
+// Timestamps give every step its time and turns per second.
+// ==========================
+
+import { parseAlgorithm, formatMove, formatMoves } from './notation.js';
+import { moveLayers, layerCount, faceToAxis } from './cube-model.js';
+
+// Whole-cube rotations are not counted as moves
+export function countMoves(moves, N){
+  return moves.filter(m=>{
+    const [lo, hi] = moveLayers(m), layers = layerCount(N, faceToAxis(m.face));
+    return !(lo===0 && hi===layers-1 && layers>1);
+  }).length;
+}
+
+// {scramble, steps}: scramble is a move list, steps are {label, moves, times} with times (ms, one
+// per move) only when every move of the step has one. Throws an Error naming the line that is bad
+export function parseReconstruction(text, N){
+  const scramble = [], steps = [];
+  let open = null; // step named by a comment on a line of its own, taking the lines that follow
+  String(text).split('\n').forEach((raw, i)=>{
+    const comment = raw.indexOf('//');
+    let label = comment>=0 ? raw.slice(comment+2).trim() : '';
+    let line = (comment>=0 ? raw.slice(0, comment) : raw).trim();
+    const prefixed = /^scramble\s*:/i.exec(line);
+    if(prefixed){ line = line.slice(prefixed[0].length); label = 'Scramble'; }
+    if(!line){
+      if(label) open = { label, moves:[], times:[] };
+      return;
+    }
+    const moves = [], times = [];
+    try{
+      // timestamped moves come one per token (R@1520); other lines may use any notation
+      if(line.includes('@')){
+        for(const token of line.split(/\s+/)){
+          const m = /^(.+?)(?:@(\d+))?$/.exec(token);
+          const parsed = parseAlgorithm(m[1], N);
+          moves.push(...parsed);
+          parsed.forEach(()=>times.push(m[2]===undefined ? null : parseInt(m[2])));
+        }
+      } else moves.push(...parseAlgorithm(line, N));
+    }catch(e){ throw new Error('Line '+(i+1)+': '+e.message); }
+    if(!label && !open) open = { label:'', moves:[], times:[] };
+    const step = label ? { label, moves:[], times:[] } : open;
+    if(label) open = null;
+    if(/^scramble$/i.test(step.label)){
+      if(scramble.length && step.moves.length===0) throw new Error('Line '+(i+1)+': there is already a scramble');
+      scramble.push(...moves);
+      step.moves.push(...moves);
+      return;
+    }
+    if(!step.moves.length) steps.push(step);
+    step.moves.push(...moves);
+    step.times.push(...(times.length ? times : moves.map(()=>null)));
+  });
+  if(!steps.length) throw new Error('The reconstruction has no solution moves');
+  return { scramble, steps:steps.map(s=>({ label:s.label, moves:s.moves, times:s.times.every(t=>t!==null) ? s.times : null })) };
+}
+
+// Per step: {label, text, start, end (move positions in the solution), count, time, tps}, and the
+// same for the whole solution as total. A step's time runs from the previous step's last move
+// (the start of the solve for the first step); time and tps are null without timestamps
+export function reconstructionStats({ steps }, N){
+  let position = 0, previous = 0, timed = true;
+  const list = steps.map((step, i)=>{
+    const start = position, end = position += step.moves.length;
+    const count = countMoves(step.moves, N);
+    let time = null;
+    if(step.times && timed){
+      const last = step.times[step.times.length-1];
+      time = last - previous;
+      previous = last;
+    } else timed = false;
+    return { label:step.label || 'Step '+(i+1), text:formatMoves(step.moves, N), start, end, count, time, tps:tps(count, time) };
+  });
+  const count = list.reduce((a, s)=>a+s.count, 0);
+  const time = timed ? previous : null;
+  return { steps:list, total:{ label:'Total', start:0, end:position, count, time, tps:tps(count, time) } };
+}
+
+// Moves with their times (ms) as reconstruction text: R@0 U@120 R'@260, perLine moves to a line
+export function formatTimedMoves(moves, times, N, perLine=12){
+  const tokens = moves.map((m, i)=>formatMove(m, N)+'@'+Math.round(times[i]));
+  const lines = [];
+  for(let i=0;i<tokens.length;i+=perLine) lines.push(tokens.slice(i, i+perLine).join(' '));
+  return lines.join('\n');
+}
+
+function tps(count, time){ return time ? count/(time/1000) : null; }
@@ -0,0 +1,147 @@
+// ==========================
+// <rubik-cube>: an interactive cube for docs and tutorials, any number of them on a page
+//   <rubik-cube size="3" alg="R U R' U'" setup="inverse" controls="playback"></rubik-cube>
+// Attributes (all optional; changing one starts the element over):
+//   size      N or a cuboid such as 2x2x3 (default 3)
+//   alg       the moves the playback steps through
+//   setup     moves applied at once before alg, or "inverse" for the inverse of alg (so that alg solves it)
+//   controls  "playback" (default: buttons and the moves of alg, the current one marked) or "none"
+//   speed     milliseconds per quarter turn (default 300)
+//   autoplay  play alg as soon as the element is on the page, and again whenever it starts over
+// Every element has its own CubeView, CubeModel and MovePlayer (element.model, element.player) and works
+// without the app's page. The page needs an import map for three, as in index.html.
+// ==========================
+
+import { CubeModel, parseSize, normalizeTurns } from './cube-model.js';
+import { parseAlgorithm, invertMoves, formatMove } from './notation.js';
+import { MovePlayer } from './player.js';
+import { CubeView } from './cube-view.js';
+import { PALETTES } from './color-schemes.js';
+
+const DEFAULT_SPEED = 300;
+
+const TEMPLATE = `<style>
+  :host { display:inline-flex; flex-direction:column; width:240px; height:300px; vertical-align:top; font:13px system-ui, sans-serif; }
+  :host([hidden]) { display:none; }
+  .view { flex:1; min-height:0; }
+  .bar { display:flex; gap:4px; justify-content:center; padding:4px 0; }
+  .bar button { min-width:32px; padding:2px 6px; cursor:pointer; }
+  .moves { text-align:center; line-height:1.6; }
+  .moves span { padding:0 3px; border-radius:3px; }
+  .moves .done { opacity:0.5; }
+  .moves .current { background:rgba(128,128,128,0.3); opacity:1; }
+  .error { color:#c00; }
+  .hidden { display:none; }
+</style>
+<div class="view"></div>
+<div class="panel">
+  <div class="bar">
+    <button data-action="start" title="Back to the start">|&lt;</button>
+    <button data-action="back" title="Step back">&lt;</button>
+    <button data-action="play" title="Play / pause">Play</button>
+    <button data-action="forward" title="Step forward">&gt;</button>
+    <button data-action="end" title="Jump to the end">&gt;|</button>
+  </div>
+  <div class="moves"></div>
+</div>
+<div class="error"></div>`;
+
+export class RubikCube extends HTMLElement {
+  static observedAttributes = ['size', 'alg', 'setup', 'controls', 'speed', 'autoplay'];
+  #view = null;
+  #reload = false; // a reload is queued (several attributes changed together)
+
+  constructor(){
+    super();
+    this.attachShadow({ mode:'open' }).innerHTML = TEMPLATE;
+    this.model = null;
+    this.player = new MovePlayer((move, direction, animate)=>{
+      const m = direction>0 ? move : { ...move, turns:normalizeTurns(-move.turns) };
+      return this.#view ? this.#view.turn(m, animate ? this.speed*Math.abs(m.turns) : 0) : Promise.resolve();
+    });
+    this.player.subscribe(()=>this.#updatePanel());
+    this.shadowRoot.querySelector('.bar').addEventListener('click', e=>{
+      const action = e.target.closest('button')?.dataset.action;
+      if(action==='start') this.player.seek(0);
+      if(action==='back') this.player.stepBack();
+      if(action==='play') this.player.toggle();
+      if(action==='forward') this.player.stepForward();
+      if(action==='end') this.player.seek(this.player.length);
+    });
+  }
+
+  get speed(){
+    const ms = parseFloat(this.getAttribute('speed'));
+    return Number.isFinite(ms) && ms>=0 ? ms : DEFAULT_SPEED;
+  }
+
+  connectedCallback(){
+    this.#view = new CubeView(this.shadowRoot.querySelector('.view'), PALETTES.standard.colors);
+    this.#start();
+  }
+
+  disconnectedCallback(){
+    this.player.pause();
+    this.#view.dispose();
+    this.#view = null;
+  }
+
+  attributeChangedCallback(){
+    if(!this.#view || this.#reload) return;
+    this.#reload = true;
+    queueMicrotask(()=>{
+      this.#reload = false;
+      if(this.#view) this.#start();
+    });
+  }
+
+  // Back to the setup position, with alg ready to play
+  reset(){ this.#load(); }
+  play(){ return this.player.play(); }
+  pause(){ this.player.pause(); }
+
+  // Load, then play alg right away with autoplay
+  #start(){
+    if(this.#load() && this.hasAttribute('autoplay')) this.player.play();
+  }
+
+  // Read the attributes and start over; a bad attribute is shown in place of the cube's controls.
+  // Returns whether they were loaded
+  #load(){
+    const error = this.shadowRoot.querySelector('.error');
+    let size, moves, setup;
+    try{
+      size = parseSize(this.getAttribute('size') || '3', 20);
+      moves = parseAlgorithm(this.getAttribute('alg') || '', size);
+      const setupText = (this.getAttribute('setup') || '').trim();
+      setup = setupText.toLowerCase()==='inverse' ? invertMoves(moves) : parseAlgorithm(setupText, size);
+    }catch(e){
+      error.textContent = e.message;
+      return false;
+    }
+    error.textContent = '';
+    this.model = new CubeModel(size).applyMoves(setup);
+    this.#view.setModel(this.model);
+    this.player.load(moves, 'alg');
+    const list = this.shadowRoot.querySelector('.moves');
+    list.textContent = '';
+    for(const move of moves){
+      const span = document.createElement('span');
+      span.textContent = formatMove(move, size);
+      list.appendChild(span);
+    }
+    this.shadowRoot.querySelector('.panel').classList.toggle('hidden', this.getAttribute('controls')==='none' || !moves.length);
+    this.#updatePanel();
+    return true;
+  }
+
+  #updatePanel(){
+    const { position, playing } = this.player;
+    this.shadowRoot.querySelector('[data-action="play"]').textContent = playing ? 'Pause' : 'Play';
+    this.shadowRoot.querySelectorAll('.moves span').forEach((span, i)=>{
+      span.className = i===position-1 ? 'current' : i<position ? 'done' : '';
+    });
+  }
+}
+
+if(!customElements.get('rubik-cube')) customElements.define('rubik-cube', RubikCube);
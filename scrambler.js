@@ -0,0 +1,130 @@
+// ==========================
+// Scrambler: seeded, reproducible scrambles in standard notation
+// - random-move scrambles follow the WCA style: outer and wide turns up to half the cube, no two moves
+//   on one axis that could be merged or reordered (R L R, R Rw R, ...), quarter and half turns alike
+// - 2x2 and 3x3 can instead use random-state scrambles: a uniformly random reachable position,
+//   reached by the inverse of its solution from the solver
+// - cuboids (size [X, Y, Z]) get random-move scrambles, with half turns only on layers that are not square
+// Every scramble is {seed, text, moves}: the same seed and size always give the same scramble.
+// ==========================
+
+import { FACE_ORDER, faceToAxis, faceSign, shapeOf, layerCount, quarterTurnsAllowed } from './cube-model.js';
+import { parseAlgorithm, invertMoves, formatMoves } from './notation.js';
+import { CubieCube, cubieToFacelets, permParity } from './solver/cubie.js';
+import { solveFacelets } from './solver/two-phase.js';
+import { solvePocketFacelets } from './solver/pocket.js';
+
+// WCA lengths for random-move scrambles; larger cubes get 20 more moves per size
+const SCRAMBLE_LENGTHS = { 2:11, 3:25, 4:40, 5:60, 6:80, 7:100 };
+const AMOUNTS = ['', "'", '2'];
+
+export function scrambleLength(N){
+  if(Array.isArray(N)) return scrambleLength(Math.max(...shapeOf(N)));
+  if(N<2) return 0;
+  return SCRAMBLE_LENGTHS[N] || 100 + 20*(N-7);
+}
+
+// Pseudo-random generator from any seed string: a string hash feeding mulberry32, values in [0, 1)
+export function createRng(seed){
+  const str = String(seed);
+  let h = 1779033703 ^ str.length;
+  for(let i=0;i<str.length;i++){ h = Math.imul(h ^ str.charCodeAt(i), 3432918353); h = h<<13 | h>>>19; }
+  let a = h>>>0;
+  return ()=>{
+    a = a + 0x6D2B79F5 | 0;
+    let t = Math.imul(a ^ a>>>15, 1 | a);
+    t = t + Math.imul(t ^ t>>>7, 61 | t) ^ t;
+    return ((t ^ t>>>14)>>>0) / 4294967296;
+  };
+}
+
+export function randomSeed(){ return Math.random().toString(36).slice(2, 10); }
+
+function pick(rng, list){ return list[Math.floor(rng()*list.length)]; }
+
+// Turnable blocks {face, depth, axis, order, amounts} for random-move scrambles. Depth 1 is the face itself,
+// deeper blocks are wide moves; the middle block of an even number of layers is only turned from U, R and F
+// (from the other side it is the same move combined with a rotation), so 2x2 uses U, R, F only.
+function scrambleBlocks(N){
+  const blocks = [];
+  for(const face of FACE_ORDER){
+    const axis = faceToAxis(face), layers = layerCount(N, axis);
+    const amounts = quarterTurnsAllowed(N, axis) ? AMOUNTS : ['2'];
+    for(let depth=1; depth<=Math.floor(layers/2); depth++){
+      if(layers%2===0 && depth===layers/2 && faceSign(face)<0) continue;
+      // within one axis, moves must come in increasing `order` (positive face first, then by depth)
+      blocks.push({ face, depth, axis, order:(faceSign(face)>0 ? 0 : layers) + depth, amounts });
+    }
+  }
+  return blocks;
+}
+
+function blockToken(block, amount){
+  const { face, depth } = block;
+  if(depth===1) return face+amount;
+  return (depth>2 ? depth : '')+face+'w'+amount;
+}
+
+// Random-move scramble of the given length (WCA length by default)
+export function randomMoveScramble(N, { seed=randomSeed(), length=scrambleLength(N) }={}){
+  const rng = createRng(seed);
+  const blocks = scrambleBlocks(N), tokens = [];
+  let axis = null, lastOrder = -1;
+  for(let i=0;i<length && blocks.length;i++){
+    // same axis as the previous move only in canonical order, so no sequence can be shortened
+    const allowed = blocks.filter(b=>b.axis!==axis || b.order>lastOrder);
+    const block = pick(rng, allowed);
+    if(block.axis!==axis){ axis = block.axis; lastOrder = -1; }
+    lastOrder = block.order;
+    tokens.push(blockToken(block, pick(rng, block.amounts)));
+  }
+  const text = tokens.join(' ');
+  return { seed, text, moves:parseAlgorithm(text, N) };
+}
+
+// random permutation of items (Fisher-Yates)
+function shuffle(rng, items){
+  const a = items.slice();
+  for(let i=a.length-1;i>0;i--){ const j = Math.floor(rng()*(i+1)); [a[i], a[j]] = [a[j], a[i]]; }
+  return a;
+}
+
+// random orientations of n pieces with `mod` states each, summing to 0 mod `mod`
+function randomOrientations(rng, n, mod){
+  const o = [];
+  for(let i=0;i<n-1;i++) o.push(Math.floor(rng()*mod));
+  o.push((mod - o.reduce((a,b)=>a+b, 0)%mod) % mod);
+  return o;
+}
+
+// Random-state scramble for 2x2 or 3x3; rerolls positions closer than 4 moves to solved (WCA rule for 2x2)
+export function randomStateScramble(N, { seed=randomSeed() }={}){
+  if(N!==2 && N!==3) throw new Error('Random-state scrambles are only available for 2x2 and 3x3');
+  const rng = createRng(seed);
+  for(;;){
+    const cc = new CubieCube();
+    let solution;
+    if(N===2){
+      // DBL (corner 6) stays in place; the solver turns U, R and F only
+      const others = [0,1,2,3,4,5,7];
+      const perm = shuffle(rng, others), twist = randomOrientations(rng, 7, 3);
+      others.forEach((pos, i)=>{ cc.cp[pos] = perm[i]; cc.co[pos] = twist[i]; });
+      solution = solvePocketFacelets(cubieToFacelets(cc));
+    } else {
+      cc.cp = shuffle(rng, cc.cp); cc.co = randomOrientations(rng, 8, 3);
+      cc.ep = shuffle(rng, cc.ep); cc.eo = randomOrientations(rng, 12, 2);
+      // permutation parities must agree: swap two edges when they do not
+      if(permParity(cc.cp)!==permParity(cc.ep)) [cc.ep[0], cc.ep[1]] = [cc.ep[1], cc.ep[0]];
+      solution = solveFacelets(cubieToFacelets(cc), { timeout:10000 });
+    }
+    if(solution.length<4) continue;
+    const moves = invertMoves(solution.map(m=>({ face:m.face, layer:faceSign(m.face)>0 ? N-1 : 0, turns:m.turns })));
+    return { seed, text:formatMoves(moves, N), moves };
+  }
+}
+
+// Scramble for an NxNxN cube or a cuboid: random-state for 2x2/3x3 when asked, random-move otherwise
+export function generateScramble(N, { seed=randomSeed(), randomState=true }={}){
+  if(randomState && (N===2 || N===3)) return randomStateScramble(N, { seed });
+  return randomMoveScramble(N, { seed });
+}
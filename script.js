@@ -1,5 +1,21 @@
 import * as THREE from 'three';
 import { OrbitControls } from 'https://unpkg.com/three@0.155.0/examples/jsm/controls/OrbitControls.js';
+import { CubeModel, FACE_ORDER, faceToAxis, faceSign, faceletToCubie, axisMove, moveLayers, normalizeTurns, shapeOf, normalizeSize, parseSize, sizeLabel, layerCount, quarterTurnsAllowed, faceletLayout } from './cube-model.js';
+import { parseAlgorithm, formatMove } from './notation.js';
+import { MovePlayer } from './player.js';
+import { SpeedTimer, formatTime, solveTime } from './timer.js';
+import { EventHub } from './events.js';
+import { generateScramble, randomSeed } from './scrambler.js';
+import { validateFacelets } from './solver/validate.js';
+import { NetView, netSvg } from './net-view.js';
+import { readState, writeState } from './formats.js';
+import { PALETTES, FACE_SYMBOLS, loadColorSettings, saveColorSettings } from './color-schemes.js';
+import { PICTURE_MODES, PICTURE_SIZE, loadPictureSettings, savePictureSettings } from './pictures.js';
+import { AlgTrainer, TRAINER_N } from './trainer.js';
+import { parseReconstruction, reconstructionStats, countMoves, formatTimedMoves } from './reconstruction.js';
+import { WebSocketSource, ReplaySource } from './move-sources.js';
+import { MoveTree } from './history-tree.js';
+import { KEY_ACTIONS, KEYMAP_PRESETS, KeyInput, keyName, keyLabel, loadKeymap, saveKeymap } from './keymap.js';
 
 // ==========================
 // NxNxN Rubik's Cube App (module)
@@ -19,24 +35,88 @@ import { OrbitControls } from 'https://unpkg.com/three@0.155.0/examples/jsm/cont
   const buildBtn = document.getElementById('buildBtn');
   const scrambleBtn = document.getElementById('scrambleBtn');
   const solveBtn = document.getElementById('solveBtn');
+  const scrambleSeed = document.getElementById('scrambleSeed');
+  const randomStateBox = document.getElementById('randomState');
+  const scrambleText = document.getElementById('scrambleText');
+  const solveStatus = document.getElementById('solveStatus');
   const resetBtn = document.getElementById('resetBtn');
   const toggleMarkersBtn = document.getElementById('toggleMarkers');
+  const paletteSelect = document.getElementById('paletteSelect');
+  const schemeEditor = document.getElementById('schemeEditor');
+  const pictureModeSelect = document.getElementById('pictureMode');
+  const pictureInputsDiv = document.getElementById('pictureInputs');
+  const pictureClearBtn = document.getElementById('pictureClearBtn');
+  const pictureError = document.getElementById('pictureError');
   const moveButtonsDiv = document.getElementById('moveButtons');
+  const moveSetSelect = document.getElementById('moveSet');
+  const keymapSelect = document.getElementById('keymapPreset');
+  const keyBindingsDiv = document.getElementById('keyBindings');
   const historyDiv = document.getElementById('history');
+  const historyTreeDiv = document.getElementById('historyTree');
   const exportArea = document.getElementById('exportArea');
   const exportBtn = document.getElementById('exportBtn');
   const importBtn = document.getElementById('importBtn');
+  const exportFormat = document.getElementById('exportFormat');
+  const importError = document.getElementById('importError');
   const undoBtn = document.getElementById('undoBtn');
   const redoBtn = document.getElementById('redoBtn');
   const speedSlider = document.getElementById('speed');
+  const algInput = document.getElementById('algInput');
+  const playAlgBtn = document.getElementById('playAlgBtn');
+  const algError = document.getElementById('algError');
+  const reconInput = document.getElementById('reconInput');
+  const reconLoadBtn = document.getElementById('reconLoadBtn');
+  const reconError = document.getElementById('reconError');
+  const sourceUrlInput = document.getElementById('sourceUrl');
+  const sourceConnectBtn = document.getElementById('sourceConnectBtn');
+  const replayBtn = document.getElementById('replayBtn');
+  const sourceStopBtn = document.getElementById('sourceStopBtn');
+  const sourceReconBtn = document.getElementById('sourceReconBtn');
+  const sourceStatus = document.getElementById('sourceStatus');
+  const timeline = document.getElementById('timeline');
+  const playerInfo = document.getElementById('playerInfo');
+  const playerStartBtn = document.getElementById('playerStartBtn');
+  const stepBackBtn = document.getElementById('stepBackBtn');
+  const playPauseBtn = document.getElementById('playPauseBtn');
+  const stepFwdBtn = document.getElementById('stepFwdBtn');
+  const playerEndBtn = document.getElementById('playerEndBtn');
+  const playbackRate = document.getElementById('playbackRate');
+  const timerDisplay = document.getElementById('timerDisplay');
+  const timerStats = document.getElementById('timerStats');
+  const timerSolves = document.getElementById('timerSolves');
+  const timerStartBtn = document.getElementById('timerStartBtn');
+  const timerCancelBtn = document.getElementById('timerCancelBtn');
+  const timerOkBtn = document.getElementById('timerOkBtn');
+  const timerPlus2Btn = document.getElementById('timerPlus2Btn');
+  const timerDnfBtn = document.getElementById('timerDnfBtn');
+  const timerDeleteBtn = document.getElementById('timerDeleteBtn');
+  const timerClearBtn = document.getElementById('timerClearBtn');
+  const trainerSetSelect = document.getElementById('trainerSet');
+  const trainerDisplay = document.getElementById('trainerDisplay');
+  const trainerCase = document.getElementById('trainerCase');
+  const trainerNextBtn = document.getElementById('trainerNextBtn');
+  const trainerRevealBtn = document.getElementById('trainerRevealBtn');
+  const trainerStats = document.getElementById('trainerStats');
+  const trainerImport = document.getElementById('trainerImport');
+  const trainerImportName = document.getElementById('trainerImportName');
+  const trainerImportBtn = document.getElementById('trainerImportBtn');
+  const trainerRemoveBtn = document.getElementById('trainerRemoveBtn');
+  const trainerClearBtn = document.getElementById('trainerClearBtn');
+  const trainerError = document.getElementById('trainerError');
   const dprSlider = document.getElementById('dpr');
+  const paletteDiv = document.getElementById('palette');
+  const netEditorDiv = document.getElementById('netEditor');
+  const editorStatus = document.getElementById('editorStatus');
+  const netSvgBtn = document.getElementById('netSvgBtn');
+  const netPngBtn = document.getElementById('netPngBtn');
+  const screenshotBtn = document.getElementById('screenshotBtn');
 
   // Parameters
-  let N = Math.max(1, Math.min(20, parseInt(inputN.value || 3)));
+  // puzzle size: N for an NxNxN cube or [X, Y, Z] for a cuboid (see shapeOf in cube-model.js); dims is [X, Y, Z] either way
+  let cubeSize = readSize(inputN.value, 3);
+  let dims = shapeOf(cubeSize);
   let spacing = 1.02; // gap between cubies
-  let cubeSize = N; // logical
   let stickerScale = 0.9; // sticker size relative to cubie face
-  let markerEnabled = false;
 
   // Three.js scene setup
   camera.position.set(5,5,9);
@@ -54,144 +134,252 @@ import { OrbitControls } from 'https://unpkg.com/three@0.155.0/examples/jsm/cont
   dprSlider.addEventListener('input', setDPR);
   setDPR();
 
-  // Color scheme (Singmaster): U,W; D,Y; F,G; B,B; L,O; R,R
-  const FACE_COLORS = {
-    U: 0xffffff, // white
-    D: 0xffff00, // yellow
-    F: 0x00aa00, // green
-    B: 0x0000aa, // blue
-    L: 0xff7700, // orange
-    R: 0xaa0000  // red
-  };
-  const FACE_ORDER = ['U','R','F','D','L','B']; // used for consistent indexing
+  // Color scheme (color-schemes.js): a preset palette or the user's own colors, kept in localStorage.
+  // FACE_COLORS and COLOR_NAMES are edited in place, so everything holding them sees the change.
+  const colorSettings = loadColorSettings();
+  const FACE_COLORS = colorSettings.colors; // FACE -> CSS color
+  const COLOR_NAMES = colorSettings.names;  // FACE -> color name used in messages
+  const faceColors = {}; // FACE -> THREE.Color
+
+  // Shared sticker material: white base so the per-instance color shows through
+  let stickerMaterial = null;
 
-  // Materials for six faces — we will create one InstancedMesh per face color
-  const faceMaterials = {};
+  // Picture cube (pictures.js): numbered stickers or an image per face, drawn from an atlas with one tile per face
+  const pictureSettings = loadPictureSettings();
+  const pictureImages = {}; // FACE -> loaded HTMLImageElement of pictureSettings.images
+  let pictureMaterial = null;
+  const pictureCell = { value:new THREE.Vector2(1, 1) }; // size of one sticker in the atlas (uv units)
 
-  // InstancedMesh containers for sticker faces
-  const faceInstanced = {}; // FACE -> InstancedMesh
+  // One InstancedMesh holds every sticker; each instance is a fixed surface slot colored from the model
+  let stickerMesh = null;
 
-  // Logical cube state: 3D array of cubie objects. Each cubie has stickers keyed by face with color char or null
-  let cubeState = null; // cubeState[x][y][z] where coords in 0..N-1
+  // Logical cube state lives in a headless CubeModel (cube-model.js); the renderer subscribes to its changes
+  let model = null;
+  let unsubscribeModel = null;
 
   // Sticker index mapping: list of all sticker instances with metadata
-  // Each sticker: {face, x,y,z, pos:THREE.Vector3, normal:THREE.Vector3, instanceIndex}
+  // Each sticker: {face, row, col, x,y,z, pos:THREE.Vector3, normal:THREE.Vector3, instanceIndex}
+  // face/row/col is the facelet address (see faceletToCubie); face is also the direction the sticker points
   let stickers = [];
 
   // For instance transforms we will maintain base (model) matrix per sticker
   let baseMatrices = []; // array of THREE.Matrix4
 
-  // Move history: list of move objects {face:'U', layer:0-based, turns:1}  turns: +1 clockwise 90deg, -1 ccw
-  let moveHistory = [];
-  let redoStack = [];
+  // Move history (history-tree.js): a tree of move objects {face:'U', layer:0-based, turns:1} (turns: +1 clockwise
+  // 90deg, -1 ccw); undo keeps the moves taken back as a branch. It only changes from inside the animation queue,
+  // right after the cube has turned, so it always describes what the model shows
+  const moveHistory = new MoveTree();
 
   // Animation queue
   let animPromise = Promise.resolve();
+  let pendingAnimations = 0; // queued or running; a drag only starts on an idle cube
+
+  // The promise returned settles with the outcome of fn; the queue itself never rejects, so a step that fails
+  // does not stop the steps after it
+  function enqueueAnimation(fn){
+    pendingAnimations++;
+    const run = animPromise.then(fn).finally(()=>{ pendingAnimations--; });
+    animPromise = run.catch(()=>{});
+    return run;
+  }
+
+  // resolves once nothing is queued or turning any more
+  function whenIdle(){
+    return animPromise.then(()=>pendingAnimations>0 ? whenIdle() : undefined);
+  }
+
+  // Configurable animation duration getter (move speed slider scaled by the playback rate)
+  function getAnimDuration() { return parseInt(speedSlider.value) / parseFloat(playbackRate.value); }
+
+  // Playback of move sequences (scramble, solution, algorithm); its played moves are the tail of the history path
+  const player = new MovePlayer(playerStep);
+
+  // Speedsolve timer (timer.js); sessions are stored per cube size
+  const speedTimer = new SpeedTimer(cubeSize);
+
+  // Algorithm trainer (trainer.js); per-case statistics and imported case lists are stored
+  const trainer = new AlgTrainer();
+
+  // App events (events.js):
+  //   'move'        after a move from performMove is applied: {move, source:'user'|'player', issuedAt, solved}
+  //   'solved'      when such a move leaves the cube solved (same detail)
+  //   'stateChange' whenever the cube state changes: {type:'move'|'paint'|'reset'|'load', move (or face, row, col, color), model}
+  const appEvents = new EventHub();
+
+  // Color-blind markers: a texture atlas of 7 cells, cell 0 plain white (no marker), cells 1-6 the symbols of
+  // FACE_ORDER as dark shapes on white. Every instance picks its cell through the aSymbol attribute, and the
+  // instance color tints the whole cell, so the symbol travels with the sticker through every animation.
+  function drawSymbol(ctx, shape, x, y, r){
+    ctx.beginPath();
+    switch(shape){
+      case 'circle': ctx.arc(x, y, r, 0, 2*Math.PI); break;
+      case 'square': ctx.rect(x-r*0.85, y-r*0.85, r*1.7, r*1.7); break;
+      case 'triangle': ctx.moveTo(x, y-r); ctx.lineTo(x+r, y+r*0.8); ctx.lineTo(x-r, y+r*0.8); ctx.closePath(); break;
+      case 'diamond': ctx.moveTo(x, y-r); ctx.lineTo(x+r, y); ctx.lineTo(x, y+r); ctx.lineTo(x-r, y); ctx.closePath(); break;
+      case 'bars': ctx.rect(x-r, y-r*0.75, r*2, r*0.5); ctx.rect(x-r, y+r*0.25, r*2, r*0.5); break;
+      case 'cross':
+        ctx.moveTo(x-r, y-r); ctx.lineTo(x+r, y+r); ctx.moveTo(x+r, y-r); ctx.lineTo(x-r, y+r);
+        ctx.lineWidth = r*0.45; ctx.stroke();
+        return;
+    }
+    ctx.fill();
+  }
 
-  // Configurable animation duration getter
-  function getAnimDuration() { return parseInt(speedSlider.value); }
+  function makeMarkerAtlas(){
+    const size = 64, atlas = document.createElement('canvas');
+    atlas.width = size*7; atlas.height = size;
+    const ctx = atlas.getContext('2d');
+    ctx.fillStyle = '#fff'; ctx.fillRect(0, 0, atlas.width, atlas.height);
+    ctx.fillStyle = ctx.strokeStyle = 'rgba(0,0,0,0.6)';
+    FACE_ORDER.forEach((f, i)=>drawSymbol(ctx, FACE_SYMBOLS[f], (i+1.5)*size, size/2, size*0.26));
+    const texture = new THREE.CanvasTexture(atlas);
+    texture.colorSpace = THREE.SRGBColorSpace;
+    return texture;
+  }
+
+  // Picture atlas: the six faces side by side in FACE_ORDER, each cut into its rows x cols of square stickers
+  // (PICTURE_SIZE pixels along the longest side of the puzzle). A face shows its image (scaled to cover the
+  // face) or its color, and the sticker numbers in numbers mode. Redrawn when the size, colors or pictures change.
+  // atlasCells holds, per facelet, the sticker's cell in the atlas: column, and row counted from the bottom
+  const pictureCanvas = document.createElement('canvas');
+  let atlasCells = new Float32Array(0);
+
+  function drawPictureAtlas(){
+    const layout = faceletLayout(cubeSize), cell = PICTURE_SIZE/Math.max(...dims);
+    const columns = FACE_ORDER.reduce((a, f)=>a+layout[f].cols, 0), height = Math.max(...FACE_ORDER.map(f=>layout[f].rows));
+    pictureCanvas.width = Math.round(columns*cell); pictureCanvas.height = Math.round(height*cell);
+    pictureCell.value.set(1/columns, 1/height);
+    atlasCells = new Float32Array(layout.count*2);
+    const ctx = pictureCanvas.getContext('2d');
+    let x0 = 0;
+    for(const f of FACE_ORDER){
+      const { offset, rows, cols } = layout[f], w = cols*cell, h = rows*cell;
+      const image = pictureSettings.mode==='images' && pictureImages[f];
+      for(let i=0;i<rows*cols;i++){
+        atlasCells[2*(offset+i)] = x0/cell + i%cols;
+        atlasCells[2*(offset+i)+1] = height-1-Math.floor(i/cols);
+      }
+      ctx.fillStyle = FACE_COLORS[f];
+      ctx.fillRect(x0, 0, w, h);
+      if(image){
+        const scale = Math.max(w/image.width, h/image.height);
+        const iw = image.width*scale, ih = image.height*scale;
+        ctx.save();
+        ctx.beginPath(); ctx.rect(x0, 0, w, h); ctx.clip();
+        ctx.drawImage(image, x0+(w-iw)/2, (h-ih)/2, iw, ih);
+        ctx.restore();
+      }
+      if(pictureSettings.mode==='numbers'){
+        ctx.fillStyle = 'rgba(0,0,0,0.7)';
+        ctx.font = `bold ${Math.round(cell*0.45)}px sans-serif`;
+        ctx.textAlign = 'center'; ctx.textBaseline = 'middle';
+        for(let row=0;row<rows;row++) for(let col=0;col<cols;col++) ctx.fillText(String(row*cols+col+1), x0+(col+0.5)*cell, (row+0.5)*cell);
+      }
+      x0 += w;
+    }
+    if(pictureMaterial) pictureMaterial.map.needsUpdate = true;
+  }
 
-  // Utility: create materials per face color
+  // Utility: create the sticker material and per-face instance colors
   function ensureMaterials(){
+    if(!stickerMaterial){
+      stickerMaterial = new THREE.MeshStandardMaterial({color:0xffffff, roughness:0.5, metalness:0, map:makeMarkerAtlas()});
+      // move each instance's texture coordinates into its atlas cell
+      stickerMaterial.onBeforeCompile = shader=>{
+        shader.vertexShader = shader.vertexShader
+          .replace('#include <common>', '#include <common>\nattribute float aSymbol;')
+          .replace('#include <uv_vertex>', '#include <uv_vertex>\nvMapUv.x = (vMapUv.x + aSymbol) / 7.0;');
+      };
+    }
+    if(!pictureMaterial){
+      const texture = new THREE.CanvasTexture(pictureCanvas);
+      texture.colorSpace = THREE.SRGBColorSpace;
+      pictureMaterial = new THREE.MeshStandardMaterial({color:0xffffff, roughness:0.5, metalness:0, map:texture});
+      // aPicture: the atlas cell of the sticker's origin (column, row from the bottom) and the quarter turns
+      // (counter-clockwise) its picture is drawn at
+      pictureMaterial.onBeforeCompile = shader=>{
+        shader.uniforms.uCell = pictureCell;
+        shader.vertexShader = shader.vertexShader
+          .replace('#include <common>', '#include <common>\nattribute vec3 aPicture;\nuniform vec2 uCell;')
+          .replace('#include <uv_vertex>', `#include <uv_vertex>
+vec2 p = vMapUv - 0.5;
+for(int k=0;k<3;k++) if(float(k) < aPicture.z) p = vec2(-p.y, p.x);
+vMapUv = (aPicture.xy + p + 0.5) * uCell;`);
+      };
+    }
     for(const f of Object.keys(FACE_COLORS)){
-      if(!faceMaterials[f]){
-        faceMaterials[f] = new THREE.MeshStandardMaterial({color:FACE_COLORS[f], roughness:0.5, metalness:0});
-      }
+      if(!faceColors[f]) faceColors[f] = new THREE.Color(FACE_COLORS[f]);
     }
   }
 
-  // Build logical cube state and initialize visuals
-  function buildCube(newN){
-    N = Math.max(1, Math.min(20, parseInt(newN||inputN.value||3)));
-    cubeSize = N;
+  // Size typed into the size box: N or a cuboid such as 2x2x3 (sides 1 to 20); fallback when it is neither
+  function readSize(text, fallback){
+    try{ return parseSize(text, 20); }
+    catch(e){ return fallback; }
+  }
+
+  // "3x3" for cubes, "2x2x3" for cuboids (messages and file names)
+  function sizeName(size=cubeSize){ return Array.isArray(size) ? sizeLabel(size) : size+'x'+size; }
+
+  // Build logical cube state and initialize visuals; newSize is a size or the text of the size box
+  function buildCube(newSize=inputN.value){
+    cubeSize = typeof newSize==='string' ? readSize(newSize, cubeSize) : normalizeSize(newSize);
+    dims = shapeOf(cubeSize);
+    inputN.value = Array.isArray(cubeSize) ? sizeLabel(cubeSize) : cubeSize;
     stickers.length = 0;
     baseMatrices.length = 0;
-    moveHistory = [];
-    redoStack = [];
+    moveHistory.reset();
+    player.clear();
+    speedTimer.setSize(cubeSize);
+    // an external source reads its moves for one size
+    if(moveSource?.active && sizeLabel(moveSource.N)!==sizeLabel(cubeSize)) moveSource.stop();
+    trainer.cancel();
     historyDiv.textContent = '';
 
-    // cleanup old instanced meshes (dispose geometry but keep shared materials)
-    for(const k in faceInstanced){
-      const o = faceInstanced[k];
-      if(o) { scene.remove(o); if(o.geometry) o.geometry.dispose(); }
-    }
-    Object.keys(faceInstanced).forEach(k=>delete faceInstanced[k]);
+    // cleanup old instanced mesh (dispose geometry but keep the shared material)
+    if(stickerMesh){ scene.remove(stickerMesh); stickerMesh.geometry.dispose(); stickerMesh.dispose(); }
 
     ensureMaterials();
 
-    // Create logical cube: initialize center coordinates
-    cubeState = new Array(N);
-    for(let x=0;x<N;x++){
-      cubeState[x] = new Array(N);
-      for(let y=0;y<N;y++){
-        cubeState[x][y] = new Array(N);
-        for(let z=0;z<N;z++){
-          const cubie = { stickers: {} };
-          // determine if on a face and assign stickers
-          if(y === N-1) cubie.stickers['U']='U';
-          if(y === 0)   cubie.stickers['D']='D';
-          if(z === N-1) cubie.stickers['F']='F';
-          if(z === 0)   cubie.stickers['B']='B';
-          if(x === 0)   cubie.stickers['L']='L';
-          if(x === N-1) cubie.stickers['R']='R';
-          cubeState[x][y][z] = cubie;
-        }
-      }
-    }
-
     // Build sticker geometry as small planes slightly offset from cubelet faces
     const stickerPlane = new THREE.PlaneGeometry(1*stickerScale,1*stickerScale);
-    // one InstancedMesh per face type for efficient rendering
-    for(const face of Object.keys(FACE_COLORS)){
-      const mat = faceMaterials[face];
-      const inst = new THREE.InstancedMesh(stickerPlane, mat, N*N*N*1.2 | 0);
-      inst.instanceMatrix.setUsage(THREE.DynamicDrawUsage);
-      inst.frustumCulled = false;
-      faceInstanced[face]=inst;
-      scene.add(inst);
-    }
-
-    // iterate cubies and create sticker instances
-    let counters = {}; for(const f of Object.keys(FACE_COLORS)) counters[f]=0;
-    const half = (N-1)/2;
-    for(let x=0;x<N;x++){
-      for(let y=0;y<N;y++){
-        for(let z=0;z<N;z++){
-          const cubie = cubeState[x][y][z];
-          // world position of cubie center
-          const pos = new THREE.Vector3((x-half)*spacing, (y-half)*spacing, (z-half)*spacing);
-          // for each sticker on this cubie, compute sticker center and normal
-          for(const f in cubie.stickers){
-            const normal = faceToNormal(f);
-            const stickerPos = pos.clone().add(normal.clone().multiplyScalar(0.51)); // slightly offset
-            // create matrix
-            const m = new THREE.Matrix4();
-            const q = new THREE.Quaternion();
-            q.setFromUnitVectors(new THREE.Vector3(0,0,1), normal);
-            m.makeRotationFromQuaternion(q);
-            m.setPosition(stickerPos);
-
-            const idx = counters[f]++;
-            faceInstanced[f].setMatrixAt(idx, m);
-            faceInstanced[f].instanceMatrix.needsUpdate = true;
-
-            // record sticker metadata
-            stickers.push({ face:f, x, y, z, pos:stickerPos.clone(), normal:normal.clone(), instanceIndex:idx });
-            baseMatrices.push(m.clone());
-          }
-        }
-      }
-    }
-
-    // trim instance count usage by setting count property
-    for(const f in faceInstanced){
-      faceInstanced[f].count = counters[f];
-    }
+    const count = faceletLayout(cubeSize).count;
+    stickerPlane.setAttribute('aSymbol', new THREE.InstancedBufferAttribute(new Float32Array(count), 1));
+    stickerPlane.setAttribute('aPicture', new THREE.InstancedBufferAttribute(new Float32Array(count*3), 3));
+    drawPictureAtlas();
+    // a single InstancedMesh with one instance per surface sticker (6*N*N on a cube)
+    stickerMesh = new THREE.InstancedMesh(stickerPlane, pictureSettings.mode==='off' ? stickerMaterial : pictureMaterial, count);
+    stickerMesh.instanceMatrix.setUsage(THREE.DynamicDrawUsage);
+    stickerMesh.frustumCulled = false;
+    scene.add(stickerMesh);
+    buildStickerSlots();
+
+    // fresh solved model; the subscription colors the sticker instances
+    setModel(new CubeModel(cubeSize));
 
     // Center camera
     controls.target.set(0,0,0);
     controls.update();
     updateHistoryUI();
+    makeMoveButtons();
+  }
+
+  // Swap in a model and re-render whenever it changes
+  function setModel(newModel){
+    if(unsubscribeModel) unsubscribeModel();
+    model = newModel;
+    unsubscribeModel = model.subscribe(e=>{
+      // moves and paints name the facelets they touched; only those slots are reset and recolored
+      writeInstanceMatrices(e.changed); updateStickerColors(e.changed);
+      netEditor.render(model, e.changed);
+      if(e.type!=='move') checkPattern();
+      appEvents.emit('stateChange', { ...e, model });
+    });
+    writeInstanceMatrices();
+    updateStickerColors();
+    netEditor.render(model);
+    checkPattern();
+    appEvents.emit('stateChange', { type:'load', model });
   }
 
   // map face letter to normal vector
@@ -207,40 +395,160 @@ import { OrbitControls } from 'https://unpkg.com/three@0.155.0/examples/jsm/cont
     return new THREE.Vector3(0,0,1);
   }
 
-  // Raycasting: find clicked sticker and return sticker record
+  // Raycasting: find the sticker under a screen point, with the world point that was hit
   const raycaster = new THREE.Raycaster();
   const mouse = new THREE.Vector2();
-  renderer.domElement.addEventListener('pointerdown', onPointerDown);
 
-  function onPointerDown(e){
+  function pickSticker(clientX, clientY){
     const rect = renderer.domElement.getBoundingClientRect();
-    mouse.x = ((e.clientX - rect.left) / rect.width) * 2 - 1;
-    mouse.y = -((e.clientY - rect.top) / rect.height) * 2 + 1;
+    mouse.x = ((clientX - rect.left) / rect.width) * 2 - 1;
+    mouse.y = -((clientY - rect.top) / rect.height) * 2 + 1;
     raycaster.setFromCamera(mouse, camera);
-    // check against each face instanced meshes
-    const candidates = Object.values(faceInstanced);
-    const intersects = raycaster.intersectObjects(candidates, true);
-    if(intersects.length>0){
-      const it = intersects[0];
-      const obj = it.object;
-      // instanceId from intersect
-      const instanceId = it.instanceId;
-      if(instanceId===undefined || instanceId===null) return;
-      // find sticker with matching object and instanceIndex
-      const faceKey = Object.keys(faceInstanced).find(k=>faceInstanced[k]===obj);
-      const sticker = stickers.find(s=>s.face===faceKey && s.instanceIndex===instanceId);
-      if(sticker){
-        // on click: select layer based on face normal and coordinate
-        // if shift pressed, rotate layer
-        if(e.shiftKey){
-          // rotate layer +1
-          queueMove(sticker, +1);
-        } else {
-          // just highlight layer briefly
-          highlightLayerFromSticker(sticker);
-        }
-      }
+    // check against the sticker instances
+    const intersects = raycaster.intersectObject(stickerMesh, false);
+    if(intersects.length===0) return null;
+    // instance ids index the sticker slots directly
+    const sticker = stickers[intersects[0].instanceId];
+    return sticker ? { sticker, point:intersects[0].point } : null;
+  }
+
+  // ---- Drag to turn ----
+  // Pressing a sticker starts a gesture. Once the pointer has moved a few pixels, the in-face direction whose
+  // screen image best matches the drag picks the axis and layer; the layer then follows the pointer and snaps
+  // to the nearest quarter turn on release. A press without a drag just highlights the layer.
+  // Presses on the background are left to OrbitControls.
+  const DRAG_THRESHOLD = 8; // pixels before a press becomes a drag
+  let drag = null;
+
+  // listen in the capture phase on the canvas wrapper so OrbitControls (on the canvas) is disabled before it sees the press
+  renderer.domElement.parentElement.addEventListener('pointerdown', onTouchDown, true);
+  renderer.domElement.parentElement.addEventListener('pointerdown', onPointerDown, true);
+
+  function onPointerDown(e){
+    if(e.button!==0 || drag) return;
+    if(e.pointerType==='touch' && touches.size>1) return; // multi-touch belongs to OrbitControls
+    const hit = pickSticker(e.clientX, e.clientY);
+    if(!hit) return;
+    controls.enabled = false;
+    if(paintColor){
+      // paint mode: a press colors the sticker instead of turning; no orbiting until release
+      paintSticker(hit.sticker.face, hit.sticker.row, hit.sticker.col);
+      window.addEventListener('pointerup', ()=>{ controls.enabled = true; }, { once:true });
+      return;
+    }
+    drag = { pointerId:e.pointerId, sticker:hit.sticker, point:hit.point, startX:e.clientX, startY:e.clientY, x:e.clientX, y:e.clientY, turn:null, angle:0 };
+    window.addEventListener('pointermove', onDragMove);
+    window.addEventListener('pointerup', onDragEnd);
+    window.addEventListener('pointercancel', onDragEnd);
+  }
+
+  // pixels the screen image moves per world unit along dir, starting at point
+  function screenDirection(point, dir){
+    const rect = renderer.domElement.getBoundingClientRect();
+    const a = point.clone().project(camera), b = point.clone().add(dir).project(camera);
+    return new THREE.Vector2((b.x-a.x)*rect.width/2, -(b.y-a.y)*rect.height/2);
+  }
+
+  // choose axis, layer and direction for a drag that has left the threshold
+  function dragTurn(moved){
+    const n = drag.sticker.normal;
+    let best = null;
+    for(const dir of [new THREE.Vector3(1,0,0), new THREE.Vector3(0,1,0), new THREE.Vector3(0,0,1)]){
+      if(Math.abs(dir.dot(n))>0.5) continue;
+      const screen = screenDirection(drag.point, dir);
+      const score = Math.abs(moved.dot(screen))/screen.length();
+      if(!best || score>best.score) best = { dir, screen, score };
+    }
+    // turning about n x dir by a positive angle moves the pressed sticker along dir
+    const about = new THREE.Vector3().crossVectors(n, best.dir);
+    const axis = getAxisFromNormal(about);
+    const layer = getLayerIndexFromSticker(drag.sticker, axis);
+    return {
+      axis, layer,
+      sign: about.x+about.y+about.z, // +1 or -1: about points along or against the positive axis
+      screen: best.screen,
+      radius: Math.max(...dims)*spacing/2, // arc length to angle
+      originals: captureLayer(axis, layer)
+    };
+  }
+
+  function onDragMove(e){
+    if(e.pointerId!==drag.pointerId) return;
+    drag.x = e.clientX; drag.y = e.clientY;
+    const moved = new THREE.Vector2(e.clientX-drag.startX, e.clientY-drag.startY);
+    if(!drag.turn){
+      if(moved.length()<DRAG_THRESHOLD || pendingAnimations>0) return;
+      player.clear();
+      drag.turn = dragTurn(moved);
+    }
+    const t = drag.turn;
+    // world distance along the chosen direction, as an angle about the positive axis
+    drag.angle = moved.dot(t.screen)/t.screen.lengthSq()/t.radius*t.sign;
+    poseLayer(t.originals, t.axis, drag.angle);
+  }
+
+  // stop following the pointer and give the camera back; returns the finished gesture
+  function stopDrag(){
+    window.removeEventListener('pointermove', onDragMove);
+    window.removeEventListener('pointerup', onDragEnd);
+    window.removeEventListener('pointercancel', onDragEnd);
+    controls.enabled = true;
+    const d = drag;
+    drag = null;
+    return d;
+  }
+
+  function onDragEnd(e){
+    if(e.pointerId!==drag.pointerId) return;
+    const { sticker, turn, angle } = stopDrag();
+    if(!turn){ if(pendingAnimations===0) highlightLayerFromSticker(sticker); return; }
+    // layers that are not square (cuboids) snap to half turns
+    const q = quarterTurnsAllowed(cubeSize, turn.axis) ? Math.round(angle/(Math.PI/2)) : 2*Math.round(angle/Math.PI);
+    const snapDuration = Math.max(60, getAnimDuration()*Math.abs(q*Math.PI/2-angle)/(Math.PI/2));
+    enqueueAnimation(()=>tweenLayer(turn.originals, turn.axis, angle, q*Math.PI/2, snapDuration, easeOutCubic));
+    if(q%4!==0) performMove(axisMove(cubeSize, turn.axis, turn.layer, q), true, { animate:false });
+    else enqueueAnimation(()=>writeInstanceMatrices());
+  }
+
+  // ---- Touch ----
+  // One finger on a sticker turns a layer (the drag above), one finger on the background orbits,
+  // two fingers orbit and pinch to zoom (OrbitControls), and a double tap undoes the last move.
+  controls.touches = { ONE: THREE.TOUCH.ROTATE, TWO: THREE.TOUCH.DOLLY_ROTATE };
+  const TAP_MS = 250, DOUBLE_TAP_MS = 300, DOUBLE_TAP_DISTANCE = 30;
+  const touches = new Map(); // pointerId -> {x, y, time, tap} for every finger on the canvas
+  let lastTap = null;
+  window.addEventListener('pointerup', onTouchUp);
+  window.addEventListener('pointercancel', e=>touches.delete(e.pointerId));
+
+  function onTouchDown(e){
+    if(e.pointerType!=='touch' || touches.has(e.pointerId)) return;
+    touches.set(e.pointerId, { x:e.clientX, y:e.clientY, time:performance.now(), tap:touches.size===0 });
+    if(touches.size===1) return;
+    for(const t of touches.values()) t.tap = false;
+    if(drag) handDragToControls();
+  }
+
+  // A second finger landed during a layer drag: put the layer back and replay the first finger's press
+  // to OrbitControls, which ignored it while the drag had it disabled
+  function handDragToControls(){
+    const { pointerId, x, y, turn, angle } = stopDrag();
+    if(turn){
+      enqueueAnimation(()=>tweenLayer(turn.originals, turn.axis, angle, 0, 120, easeOutCubic));
+      enqueueAnimation(()=>writeInstanceMatrices());
     }
+    renderer.domElement.dispatchEvent(new PointerEvent('pointerdown', { pointerId, pointerType:'touch', isPrimary:true, clientX:x, clientY:y, button:0, buttons:1, bubbles:true }));
+  }
+
+  function onTouchUp(e){
+    const t = touches.get(e.pointerId);
+    if(!t) return;
+    touches.delete(e.pointerId);
+    const now = performance.now();
+    if(!t.tap || now-t.time>TAP_MS || Math.hypot(e.clientX-t.x, e.clientY-t.y)>DRAG_THRESHOLD) return;
+    if(lastTap && now-lastTap.time<DOUBLE_TAP_MS && Math.hypot(e.clientX-lastTap.x, e.clientY-lastTap.y)<DOUBLE_TAP_DISTANCE){
+      lastTap = null;
+      undo();
+    } else lastTap = { x:e.clientX, y:e.clientY, time:now };
   }
 
   // highlight: animate a tiny scale on the stickers of that layer
@@ -258,397 +566,975 @@ import { OrbitControls } from 'https://unpkg.com/three@0.155.0/examples/jsm/cont
     return 'z';
   }
   function getLayerIndexFromSticker(sticker, axis){
-    // return index 0..N-1 along axis
+    // return index 0..layers-1 along axis
     if(axis==='x') return sticker.x;
     if(axis==='y') return sticker.y;
     return sticker.z;
   }
 
-  // Queue a move: from sticker determine face (U,R,F,D,L,B) and layer depth; turns is +1 (90deg) or -1
-  function queueMove(sticker, turns){
-    // choose the face normal axis closest to camera? We'll map sticker.face to face
-    // For simplicity, map sticker.face to move face and compute equivalent layer index
-    const face = sticker.face;
-    // layer index depends: for face letter, layer measured from that face side
-    let layerIndex;
-    switch(face){
-      case 'U': layerIndex = sticker.y; break;
-      case 'D': layerIndex = sticker.y; break;
-      case 'F': layerIndex = sticker.z; break;
-      case 'B': layerIndex = sticker.z; break;
-      case 'L': layerIndex = sticker.x; break;
-      case 'R': layerIndex = sticker.x; break;
-    }
-    // push move and execute
-    const move = {face, layer:layerIndex, turns:turns||1};
-    performMove(move, true);
-  }
-
-  // performMove: apply to logical state and animate; record in history if record=true
-  function performMove(move, record=true){
-    // normalize turns to -3..+3
-    move.turns = ((move.turns%4)+4)%4; if(move.turns>2) move.turns -=4;
-    const axis = faceToAxis(move.face);
-    // convert face layer to index from smallest coordinate (0..N-1)
-    let layerIndex = move.layer;
-    // For faces that are measured from max side, if face is U/F/R, their 'outer' is N-1; but we stored layer as absolute coords so it's fine
-
-    // enqueue animation chain to prevent overlap
-    animPromise = animPromise.then(()=> animateAndApplyMove(axis, layerIndex, move.turns, move.face)).then(()=>{
-      if(record){ moveHistory.push(move); redoStack.length=0; updateHistoryUI(); }
+  // Turn the cube through the animation queue. pick() runs when the turn comes up and returns the move (null for
+  // none), so queued undos each see the history the turns before them left; record(move) updates the history
+  // as soon as the move is applied. animate=false applies the move at once (player seeking); fromPlayer marks
+  // moves the player makes, any other move ends the loaded playback sequence
+  // source ('user', 'player' or 'script') goes with the move event; the timer only counts the user's moves
+  function queueTurn(pick, record, { animate=true, fromPlayer=false, source=fromPlayer ? 'player' : 'user' }={}){
+    if(!fromPlayer) player.clear();
+    const issuedAt = performance.now();
+    return enqueueAnimation(()=>{
+      const move = pick();
+      if(move) return turnNow(move, record, { animate, source, issuedAt });
     });
   }
 
-  // map face to axis letter
-  function faceToAxis(face){
-    if(face==='U' || face==='D') return 'y';
-    if(face==='L' || face==='R') return 'x';
-    return 'z';
+  // Turn a move from inside the animation queue, record it and announce it
+  async function turnNow(move, record, { animate=true, source='user', issuedAt=performance.now() }={}){
+    const wasSolved = cubeSolved();
+    if(animate && !instantMode) await animateAndApplyMove(move);
+    else model.applyMove(move);
+    record(move);
+    // the player's and scripts' instant moves come in batches; they refresh the panel once at the end
+    if((animate && !instantMode) || source==='user') updateHistoryUI();
+    const detail = { move, source, issuedAt, solved:cubeSolved() };
+    appEvents.emit('move', detail);
+    if(detail.solved && !wasSolved) appEvents.emit('solved', detail);
   }
 
-  // Animate and apply the move to logical state: turns * 90° clockwise when looking at the face from outside
-  async function animateAndApplyMove(axis, layerIndex, turns, faceLetter){
-    if(turns===0) return;
-    // determine which stickers are affected: those whose coordinate on axis equals layerIndex
-    const affected = stickers.map((s,i)=>({s,i})).filter(si=>{
-      const s = si.s;
-      if(axis==='x') return s.x===layerIndex;
-      if(axis==='y') return s.y===layerIndex;
-      return s.z===layerIndex;
-    });
+  // picture cubes are supercubes: solved also needs every center the right way round
+  function cubeSolved(){ return model.isSolved({ oriented:pictureSettings.mode!=='off' }); }
 
-    // precompute original positions and normals - store stable snapshot (including face & instanceIndex)
-    const originals = affected.map(a=>({
-      index: a.i,
-      face: a.s.face,
-      instanceIndex: a.s.instanceIndex,
-      pos: a.s.pos.clone(),
-      normal: a.s.normal.clone(),
-      mat: (baseMatrices[a.i] ? baseMatrices[a.i].clone() : new THREE.Matrix4())
-    }));
-
-    // animation uses quaternion around center of layer
-    const layerCenter = new THREE.Vector3();
-    const half=(N-1)/2;
-    if(axis==='x') layerCenter.set((layerIndex-half)*spacing,0,0);
-    if(axis==='y') layerCenter.set(0,(layerIndex-half)*spacing,0);
-    if(axis==='z') layerCenter.set(0,0,(layerIndex-half)*spacing);
-
-    const sign = getMoveSignForFace(axis, faceLetter);
-    const totalAngle = -Math.sign(turns)*Math.PI/2 * sign; // direction convention
-    const duration = getAnimDuration();
-
-    // animate from 0..totalAngle
-    const start = performance.now();
-    await new Promise(resolve => {
-      function frame(){
-        const t = Math.min(1,(performance.now()-start)/duration);
-        const eased = easeInOutCubic(t);
-        const angle = totalAngle*eased;
-        const q = new THREE.Quaternion();
-        const axisVec = axis==='x' ? new THREE.Vector3(1,0,0) : axis==='y' ? new THREE.Vector3(0,1,0) : new THREE.Vector3(0,0,1);
-        q.setFromAxisAngle(axisVec, angle);
-
-        // update instance matrices for affected stickers
-        for(const o of originals){
-          // transform around layerCenter using snapshot data
-          const p = o.pos.clone().sub(layerCenter).applyQuaternion(q).add(layerCenter);
-          // rotate normal as well
-          const n = o.normal.clone().applyQuaternion(q);
-          // make matrix from normal => rotate plane to face normal
-          const m = new THREE.Matrix4();
-          const qq = new THREE.Quaternion();
-          qq.setFromUnitVectors(new THREE.Vector3(0,0,1), n);
-          m.makeRotationFromQuaternion(qq);
-          m.setPosition(p);
-          // set into corresponding instanced mesh using stable face & instanceIndex
-          const inst = faceInstanced[o.face];
-          if(inst && (o.instanceIndex !== undefined && o.instanceIndex !== null)){
-            try{ inst.setMatrixAt(o.instanceIndex, m); inst.instanceMatrix.needsUpdate = true; } catch(err){ /* guard: skip invalid updates */ }
-          }
-        }
+  // performMove: apply to logical state and animate; add it to the history if record=true.
+  // The user's own moves coalesce with the move before (R R is R2, R R' cancels)
+  function performMove(move, record=true, options={}){
+    move.turns = normalizeTurns(move.turns);
+    const coalesce = !options.fromPlayer && (options.source || 'user')==='user';
+    return queueTurn(()=>move, m=>{ if(record) moveHistory.push(m, { coalesce }); }, options);
+  }
 
-        if(t<1) requestAnimationFrame(frame);
-        else resolve();
-      }
-      frame();
-    });
+  // the player turns the cube through the same queue; taking a move back steps the history back with it
+  function playerStep(move, direction, animate){
+    if(direction>0) return performMove({ ...move }, true, { animate, fromPlayer:true });
+    return queueTurn(()=>({ ...move, turns:normalizeTurns(-move.turns) }), ()=>moveHistory.undo(), { animate, fromPlayer:true });
+  }
 
-    // After animation completes: update logical cube state (permute stickers)
-    applyLogicalRotation(axis, layerIndex, turns, faceLetter);
-    // rebuild baseMatrices for stickers (update positions/normals and matrices)
-    rebuildBaseMatricesFromState();
-    // refresh instanced meshes with baseMatrices
-    for(const sidx in stickers){
-      const s = stickers[sidx];
-      const inst = faceInstanced[s.face];
-      if(inst && (s.instanceIndex !== undefined && s.instanceIndex !== null)){
-        try{ inst.setMatrixAt(s.instanceIndex, baseMatrices[sidx]); inst.instanceMatrix.needsUpdate = true; }catch(e){ }
-      }
-    }
+  // Animate the move, then apply it to the model: turns * 90° clockwise when looking at the face from outside.
+  // Wide moves, slices and rotations turn all their layers together as one block
+  async function animateAndApplyMove(move){
+    const { face:faceLetter, turns } = move;
+    const axis = faceToAxis(faceLetter);
+    if(turns===0) return;
+    const totalAngle = -turns*Math.PI/2 * faceSign(faceLetter); // clockwise seen from the face = negative angle about its outward normal
+    await tweenLayer(captureLayer(axis, ...moveLayers(move)), axis, 0, totalAngle, getAnimDuration(), easeInOutCubic);
+
+    // After animation completes: update the model; its subscription snaps the slots back and recolors them
+    model.applyMove(move);
   }
 
   function easeInOutCubic(t){ return t<0.5 ? 4*t*t*t : 1 - Math.pow(-2*t+2,3)/2; }
+  function easeOutCubic(t){ return 1 - Math.pow(1-t,3); }
 
-  // get sign to determine whether rotation direction is inverted for certain faces
-  function getMoveSignForFace(axis, face){
-    // This ensures that a clockwise move of face letter corresponds to viewers perspective of that face.
-    // We'll use a convention mapping manually.
-    const map = { U:1, D:-1, F:1, B:-1, L:-1, R:1 };
-    return map[face]||1;
-  }
-
-  // apply permutation on cubeState: rotate stickers positions within the layer and also rotate sticker face letters accordingly
-  function applyLogicalRotation(axis, layerIndex, turns, faceLetter){
-    // We'll rotate the coordinates of cubies in the layer and update each cubie's stickers mapping
-    const times = ((turns%4)+4)%4;
-    for(let t=0;t<Math.abs(times);t++){
-      // build temp copy of layer cubies
-      const get = (x,y,z)=>JSON.parse(JSON.stringify(cubeState[x][y][z]));
-      const set = (x,y,z,val)=>{ cubeState[x][y][z] = val; };
-      const half=N-1;
-      // rotate coordinates mapping depending on axis and direction
-      // We will compute new positions for cubies in the layer and assign rotated sticker labels
-      const layerCoords = [];
-      for(let x=0;x<N;x++) for(let y=0;y<N;y++) for(let z=0;z<N;z++){
-        if((axis==='x' && x===layerIndex) || (axis==='y' && y===layerIndex) || (axis==='z' && z===layerIndex)) layerCoords.push([x,y,z]);
-      }
-      // temporary map
-      const tempMap = {};
-      for(const [x,y,z] of layerCoords){
-        tempMap[[x,y,z]] = JSON.parse(JSON.stringify(cubeState[x][y][z]));
+  // Build the fixed sticker slots (one per facelet) with their positions and baseMatrices;
+  // slots come in facelet order, so a slot's instanceIndex is its index in model.facelets.
+  // spin is how far the sticker plane is turned (clockwise quarter turns) from the rows of its face
+  function buildStickerSlots(){
+    stickers.length=0; baseMatrices.length=0;
+    const layout = faceletLayout(cubeSize), half = dims.map(d=>(d-1)/2);
+    for(const f of FACE_ORDER){
+      for(let row=0;row<layout[f].rows;row++) for(let col=0;col<layout[f].cols;col++){
+        const [x,y,z] = faceletToCubie(cubeSize, f, row, col);
+        const pos = new THREE.Vector3((x-half[0])*spacing, (y-half[1])*spacing, (z-half[2])*spacing);
+        const normal = faceToNormal(f);
+        const stickerPos = pos.clone().add(normal.clone().multiplyScalar(0.51));
+        const m = new THREE.Matrix4();
+        const q = new THREE.Quaternion(); q.setFromUnitVectors(new THREE.Vector3(0,0,1), normal);
+        m.makeRotationFromQuaternion(q);
+        m.setPosition(stickerPos);
+        const planeUp = new THREE.Vector3(0,1,0).applyQuaternion(q);
+        const [cx, cy, cz] = faceletToCubie(3, f, 1, 1), [ux, uy, uz] = faceletToCubie(3, f, 0, 1);
+        const up = new THREE.Vector3(ux-cx, uy-cy, uz-cz), right = up.clone().cross(normal);
+        const spin = [up, right, up.clone().negate(), right.clone().negate()].findIndex(d=>d.dot(planeUp)>0.5);
+        stickers.push({ face:f, row, col, x,y,z, pos:stickerPos, normal, spin, instanceIndex:stickers.length });
+        baseMatrices.push(m);
       }
+    }
+  }
 
-      // rotation function for coordinates around center of layer
-      const rot = ([x,y,z])=>{
-        // translate to centered coords -half..+half
-        const cx = x-half, cy = y-half, cz = z-half;
-        let nx=cx, ny=cy, nz=cz;
-        if(axis==='x'){
-          // rotate around x: (y,z) -> ( -z, y ) for 90deg cw
-          nx = cx; ny = -cz; nz = cy;
-        } else if(axis==='y'){
-          // rotate around y: (x,z) -> ( z, y, -x )? careful
-          nx = cz; ny = cy; nz = -cx;
-        } else {
-          // axis z rotate: (x,y) -> ( -y, x )
-          nx = -cy; ny = cx; nz = cz;
-        }
-        return [nx+half, ny+half, nz+half];
-      };
+  // write baseMatrices into the instanced mesh (undoes any in-flight animation transforms),
+  // for the given slot indices or all of them
+  function writeInstanceMatrices(indices=null){
+    if(indices) for(const i of indices) stickerMesh.setMatrixAt(i, baseMatrices[i]);
+    else for(const s of stickers) stickerMesh.setMatrixAt(s.instanceIndex, baseMatrices[s.instanceIndex]);
+    stickerMesh.instanceMatrix.needsUpdate = true;
+  }
 
-      // apply rotation times sign depending on face orientation
-      const sign = getMoveSignForFace(axis, faceLetter);
-      // If turns negative, rotate opposite: but we've taken times absolute; apply sign by possibly inverting rot direction
-      const effectiveRot = (coords)=>{
-        if(sign>=0) return rot(coords);
-        // apply inverse rotation (three times rot)
-        let r = rot(coords); r = rot(r); r = rot(r); return r;
-      };
+  // color sticker slots (the given indices or all) with the color they carry in the model,
+  // and their marker when markers are on. Picture cubes draw the part of the picture the sticker started on
+  // instead, turned by its spin in the model (less the turn of the slot's plane)
+  const white = new THREE.Color(0xffffff);
+  function updateStickerColors(indices=null){
+    const symbols = stickerMesh.geometry.getAttribute('aSymbol');
+    const pictures = stickerMesh.geometry.getAttribute('aPicture');
+    const picture = pictureSettings.mode!=='off';
+    const paint = i=>{
+      const color = model.facelets[i];
+      stickerMesh.setColorAt(i, picture ? white : faceColors[FACE_ORDER[color]]);
+      symbols.setX(i, colorSettings.markers ? color+1 : 0);
+      const origin = model.origins[i];
+      pictures.setXYZ(i, atlasCells[2*origin], atlasCells[2*origin+1], (model.spins[i]-stickers[i].spin+4)%4);
+    };
+    if(indices) for(const i of indices) paint(i);
+    else for(const s of stickers) paint(s.instanceIndex);
+    stickerMesh.instanceColor.needsUpdate = true;
+    symbols.needsUpdate = true;
+    pictures.needsUpdate = true;
+  }
 
-      // create new layer content
-      const newLayer = {};
-      for(const [x,y,z] of layerCoords){
-        const to = effectiveRot([x,y,z]);
-        const fromKey = [x,y,z];
-        newLayer[to] = tempMap[fromKey];
-      }
+  // Undo / redo: queued like any move, and each decides what to turn only when its turn comes, so rapid presses
+  // (also during playback or other animations) walk the history one node at a time
+  function undo(options={}){
+    return queueTurn(()=>moveHistory.canUndo ? { ...moveHistory.current.move, turns:normalizeTurns(-moveHistory.current.move.turns) } : null, ()=>moveHistory.undo(), options);
+  }
+  function redo(options={}){
+    return queueTurn(()=>moveHistory.canRedo ? { ...moveHistory.current.last.move } : null, ()=>moveHistory.redo(), options);
+  }
 
-      // assign back
-      for(const [x,y,z] of layerCoords){
-        cubeState[x][y][z] = newLayer[[x,y,z]] || cubeState[x][y][z];
+  // Go to any node of the history tree: back to the common ancestor and down the other branch, without animation
+  function jumpToNode(node){
+    player.clear();
+    enqueueAnimation(()=>{
+      if(!moveHistory.nodes.has(node.id)) return;
+      for(const { move, node:next } of moveHistory.route(node)){
+        model.applyMove(move);
+        moveHistory.step(next);
       }
+      updateHistoryUI();
+    });
+  }
 
-      // Now inside each cubie, rotate sticker face letters themselves to account for orientation change
-      // For each cubie in the layer, remap stickers: U->R etc. This is tricky but we can rotate the sticker orientations by rotating their normals.
-      for(const [x,y,z] of layerCoords){
-        const cubie = cubeState[x][y][z];
-        const newStickers = {};
-        for(const f in cubie.stickers){
-          // compute normal vector of this face in current state (faceToNormal)
-          const n = faceToNormal(f);
-          // rotate normal by 90deg around axis
-          const axisVec = axis==='x' ? new THREE.Vector3(1,0,0) : axis==='y' ? new THREE.Vector3(0,1,0) : new THREE.Vector3(0,0,1);
-          const q = new THREE.Quaternion(); q.setFromAxisAngle(axisVec, Math.sign(turns)*Math.PI/2 * getMoveSignForFace(axis,faceLetter));
-          const nr = n.clone().applyQuaternion(q);
-          // find which face letter nr is closest to
-          let best = 'U'; let bestDot=-9;
-          for(const cand of Object.keys(FACE_COLORS)){
-            const candN = faceToNormal(cand);
-            const d = nr.dot(candN);
-            if(d>bestDot){ bestDot=d; best=cand; }
-          }
-          newStickers[best] = cubie.stickers[f];
-        }
-        cubie.stickers = newStickers;
-      }
+  // Scramble (scrambler.js) from the seed box, or a fresh random seed when it is empty;
+  // the text and seed are shown so the scramble can be repeated
+  function nextScramble(){
+    const seed = scrambleSeed.value.trim() || randomSeed();
+    const result = generateScramble(cubeSize, { seed, randomState:randomStateBox.checked });
+    scrambleText.textContent = result.text ? `${result.text}  (seed ${result.seed})` : '';
+    return result;
+  }
+
+  function scramble(){
+    speedTimer.cancel();
+    trainer.cancel();
+    // play through the player so it can be paused and stepped
+    player.load(nextScramble().moves, 'Scramble').play();
+  }
+
+  // Timed solve: scramble at once, then 15 s of inspection; the first turn starts the clock
+  function startTimedSolve(){
+    speedTimer.cancel();
+    trainer.cancel();
+    const result = nextScramble();
+    player.load(result.moves, 'Scramble').seek(result.moves.length).then(()=>speedTimer.startInspection(result.text));
+  }
+
+  // Clock text: inspection countdown, running time, or the last result
+  function updateTimerClock(){
+    if(speedTimer.state==='inspecting'){
+      const left = speedTimer.elapsed();
+      timerDisplay.textContent = left>0 ? String(Math.ceil(left/1000)) : '+2';
+    } else if(speedTimer.state==='running') timerDisplay.textContent = formatTime(speedTimer.elapsed());
+    else {
+      const last = speedTimer.solves[speedTimer.solves.length-1];
+      timerDisplay.textContent = last ? formatSolve(last) : formatTime(0);
     }
   }
 
-  // After logical rotation, rebuild stickers[] positions and baseMatrices to reflect new cubeState
-  function rebuildBaseMatricesFromState(){
-    stickers.length=0; baseMatrices.length=0;
-    // rebuild counters
-    let counters = {}; for(const f of Object.keys(FACE_COLORS)) counters[f]=0;
-    const half=(N-1)/2;
-    const stickerPlane = null; // not needed
-    for(let x=0;x<N;x++) for(let y=0;y<N;y++) for(let z=0;z<N;z++){
-      const pos = new THREE.Vector3((x-half)*spacing, (y-half)*spacing, (z-half)*spacing);
-      const cubie = cubeState[x][y][z];
-      for(const f in cubie.stickers){
-        const normal = faceToNormal(f);
-        const stickerPos = pos.clone().add(normal.clone().multiplyScalar(0.51));
-        const m = new THREE.Matrix4();
-        const q = new THREE.Quaternion(); q.setFromUnitVectors(new THREE.Vector3(0,0,1), normal);
-        m.makeRotationFromQuaternion(q);
-        m.setPosition(stickerPos);
-        const idx = counters[f]++;
-        // assign instanceIndex per face and push into arrays
-        stickers.push({ face:f, x,y,z, pos:stickerPos.clone(), normal:normal.clone(), instanceIndex:idx });
-        baseMatrices.push(m.clone());
-      }
+  function formatSolve(solve){
+    if(solve.penalty==='DNF') return 'DNF('+formatTime(solve.time)+')';
+    return formatTime(solveTime(solve)) + (solve.penalty==='+2' ? '+' : '');
+  }
+
+  // Session panel: statistics and the solves, newest first
+  function updateTimerUI(){
+    const st = speedTimer.stats();
+    timerStats.textContent = `${sizeName()}: ${st.count} solves  best ${formatTime(st.best)}  worst ${formatTime(st.worst)}  mo3 ${formatTime(st.mo3)}  ao5 ${formatTime(st.ao5)}  ao12 ${formatTime(st.ao12)}`;
+    timerSolves.innerHTML = '';
+    speedTimer.solves.forEach((solve, i)=>{
+      const line = document.createElement('div');
+      line.textContent = `${i+1}. ${formatSolve(solve)}`;
+      line.title = solve.scramble;
+      timerSolves.prepend(line);
+    });
+    timerCancelBtn.disabled = speedTimer.state==='idle';
+    updateTimerClock();
+  }
+  speedTimer.subscribe(updateTimerUI);
+  // the first turn after inspection starts the clock (at the time it was made); the turn that solves stops it
+  // whole-cube rotations are allowed during inspection and do not start the clock
+  const isRotation = move=>{ const [lo, hi] = moveLayers(move); return lo===0 && hi===layerCount(cubeSize, faceToAxis(move.face))-1; };
+  appEvents.on('move', e=>{ if(e.source==='user' && !isRotation(e.move)) speedTimer.turn(e.issuedAt); });
+  appEvents.on('solved', e=>{ if(e.source==='user') speedTimer.solved(e.issuedAt); });
+  appEvents.on('solved', ()=>{ solveStatus.textContent = 'Solved!'; });
+
+  // Scripting API for the browser console, tests and embedding pages (see the README). The on* functions subscribe
+  // to the app events and return an unsubscribe function. Everything that changes the cube waits for the moves
+  // queued before it (it runs as a step of the animation queue) and returns a promise that settles when it is done,
+  // rejecting with an Error for bad input.
+  // With instant (per call, or rubik.instant for every turn) moves are applied without animation
+  let instantMode = false;
+
+  window.rubik = {
+    onMove: fn=>appEvents.on('move', fn),
+    onSolved: fn=>appEvents.on('solved', fn),
+    onStateChange: fn=>appEvents.on('stateChange', fn),
+    get instant(){ return instantMode; },
+    set instant(on){ instantMode = !!on; },
+    get size(){ return cubeSize; },
+    // size: N, [X, Y, Z] or text such as '2x2x3'; a solved puzzle with an empty history
+    build: size=>enqueueAnimation(()=>{
+      buildCube(parseSize(typeof size==='string' ? size : sizeLabel(size), 20));
+      return cubeSize;
+    }),
+    // resolves when the last move is done; the moves are recorded as they are (no merging) and do not start the timer
+    apply: (alg, { instant=false }={})=>enqueueAnimation(async ()=>{
+      const moves = parseAlgorithm(alg, cubeSize);
+      player.clear();
+      for(const move of moves) await turnNow({ ...move, turns:normalizeTurns(move.turns) }, m=>moveHistory.push(m), { animate:!instant, source:'script' });
+      updateHistoryUI();
+      return moves.length;
+    }),
+    undo: ({ instant=false }={})=>undo({ animate:!instant, source:'script' }),
+    redo: ({ instant=false }={})=>redo({ animate:!instant, source:'script' }),
+    // the current state in an export format: the JSON state as an object, other formats as text
+    getState: (format='json')=>{
+      const text = writeState(model, moveHistory.moves, format, { pictures:pictureSettings });
+      return format==='json' ? JSON.parse(text) : text;
+    },
+    // any state Import accepts, or a JSON state object
+    setState: state=>enqueueAnimation(()=>{
+      player.clear();
+      loadState(readState(typeof state==='string' ? state : JSON.stringify(state), cubeSize, { names:COLOR_NAMES }));
+    }),
+    isSolved: ()=>cubeSolved(),
+    // PNG data URL of the 3D view once the queued moves are done
+    screenshot: ()=>enqueueAnimation(()=>{
+      renderer.render(scene, camera);
+      return canvas.toDataURL('image/png');
+    }),
+    idle: ()=>whenIdle()
+  };
+  function penalizeLast(penalty){ speedTimer.setPenalty(speedTimer.solves.length-1, penalty); }
+
+  // ---- Algorithm trainer ----
+  // Next case sets a random case of the chosen set on a 3x3 with its algorithm hidden; the first turn
+  // (not a rotation) starts the clock and the turn that reaches the set's goal stops it.
+  // Showing the algorithm, or skipping a case after turning, counts as a miss
+  function nextTrainerCase(){
+    player.clear();
+    speedTimer.cancel();
+    // after queued moves, so they cannot start the new attempt
+    enqueueAnimation(()=>{
+      if(cubeSize!==TRAINER_N) buildCube(TRAINER_N);
+      let setup;
+      try{ setup = trainer.next(); }
+      catch(e){ trainerError.textContent = 'Bad case: '+e.message; return; }
+      trainerError.textContent = '';
+      setModel(new CubeModel(TRAINER_N).applyMoves(setup));
+      moveHistory.reset();
+      updateHistoryUI();
+    });
+  }
+
+  function importTrainerSet(){
+    try{ trainer.importSet(trainerImportName.value, trainerImport.value); }
+    catch(e){ trainerError.textContent = 'Import failed: '+e.message; return; }
+    trainerError.textContent = '';
+    trainerImport.value = '';
+  }
+
+  // Case line (hidden while solving), clock, and the set's per-case accuracy and times
+  function updateTrainerUI(){
+    trainerSetSelect.innerHTML = '';
+    for(const [key, set] of Object.entries(trainer.sets)) trainerSetSelect.add(new Option(set.label, key));
+    trainerSetSelect.value = trainer.setKey;
+    const { current, last } = trainer;
+    if(trainer.state==='ready') trainerCase.textContent = 'Solve the case: the clock starts with your first turn';
+    else if(trainer.state==='running') trainerCase.textContent = 'Solving...';
+    else if(current){
+      const result = last && last.name===current.name ? (last.ok ? '  solved in '+formatTime(last.time) : '  missed') : '';
+      trainerCase.textContent = current.name+': '+current.alg+result;
+    } else trainerCase.textContent = 'Press Next case to start';
+    trainerDisplay.textContent = formatTime(trainer.state==='idle' && last?.ok ? last.time : trainer.elapsed());
+    trainerStats.innerHTML = '';
+    for(const c of trainer.set.cases){
+      const st = trainer.caseStats(c.name);
+      const line = document.createElement('div');
+      line.textContent = st.attempts
+        ? `${c.name}: ${st.solved}/${st.attempts} (${Math.round(st.accuracy*100)}%)  best ${formatTime(st.best)}  mean ${formatTime(st.mean)}`
+        : `${c.name}: -`;
+      trainerStats.appendChild(line);
     }
-    // update instanced mesh counts
-    for(const f in faceInstanced){ faceInstanced[f].count = counters[f]; }
+    trainerRevealBtn.disabled = trainer.state==='idle';
+    trainerRemoveBtn.disabled = !trainer.set.custom;
   }
+  trainer.subscribe(updateTrainerUI);
+  appEvents.on('move', e=>{
+    if(e.source!=='user') return;
+    if(!isRotation(e.move)) trainer.turn(e.issuedAt);
+    trainer.check(model, e.issuedAt);
+  });
 
-  // Utility: perform undo
-  function undo(){
-    if(moveHistory.length===0) return;
-    const last = moveHistory.pop();
-    const inverse = { face:last.face, layer:last.layer, turns:-last.turns };
-    redoStack.push(last);
-    performMove(inverse, false);
+  // ---- Sticker editor ----
+  // Paint mode: pick a color from the palette, then click stickers on the cube or on the net to recolor them.
+  // Painting replaces the state, so history, playback and a running timer are dropped. The validation
+  // below the net explains what keeps the pattern from being a real cube position; Solve refuses such states.
+  let paintColor = null;
+  const netEditor = new NetView(netEditorDiv, FACE_COLORS, paintSticker);
+
+  function paintSticker(face, row, col){
+    if(!paintColor || pendingAnimations>0) return;
+    if(model.getSticker(face, row, col)===paintColor) return;
+    player.clear();
+    speedTimer.cancel();
+    trainer.cancel();
+    moveHistory.reset();
     updateHistoryUI();
+    model.setSticker(face, row, col, paintColor);
   }
-  function redo(){
-    if(redoStack.length===0) return;
-    const m = redoStack.pop();
-    performMove(m, true);
-  }
-
-  // Scramble generator: produce sequence of random moves
-  function scramble(count=20){
-    const faces = Object.keys(FACE_COLORS);
-    const seq=[];
-    let lastFace = null;
-    for(let i=0;i<count;i++){
-      let face = faces[Math.floor(Math.random()*faces.length)];
-      while(face===lastFace) face = faces[Math.floor(Math.random()*faces.length)];
-      lastFace = face;
-      const turns = [1,1,1, -1][Math.floor(Math.random()*4)]; // bias
-      const layer = Math.floor(Math.random()*N);
-      seq.push({face,layer,turns});
+
+  function setPaintColor(color){
+    paintColor = paintColor===color ? null : color;
+    for(const swatch of paletteDiv.children) swatch.classList.toggle('active', swatch.dataset.color===paintColor);
+    checkPattern();
+  }
+
+  function makePalette(){
+    for(const f of FACE_ORDER){
+      const swatch = document.createElement('button');
+      swatch.className = 'swatch';
+      swatch.dataset.color = f;
+      swatch.title = 'Paint '+COLOR_NAMES[f];
+      swatch.style.background = FACE_COLORS[f];
+      swatch.addEventListener('click', ()=>setPaintColor(f));
+      paletteDiv.appendChild(swatch);
     }
-    // perform sequentially and record
-    (async ()=>{
-      for(const m of seq){ performMove(m, true); await animPromise; }
-    })();
   }
 
-  // Solve: animate exact inverse of recorded moveHistory in reverse order
+  // Explain what is wrong with the pattern. Moves never change that, so it is only checked after painting or loading
+  function checkPattern(){
+    // reachability is only known for cubes
+    const problems = model.N===null ? [] : validateFacelets(model.toFaceletString(), model.N, COLOR_NAMES);
+    editorStatus.textContent = problems.length ? problems.join(' ') : (paintColor ? 'Painting '+COLOR_NAMES[paintColor]+': valid position.' : '');
+  }
+
+  // Solve: compute a solution from the current state and queue it like any other moves
   function solve(){
-    if(moveHistory.length===0) return;
-    const inverseSeq = moveHistory.slice().reverse().map(m=>({face:m.face, layer:m.layer, turns:-m.turns}));
-    // execute step-by-step with clear transitions
-    (async ()=>{
-      for(const mv of inverseSeq){ performMove(mv, false); await animPromise; }
-      // clear history after solving
-      moveHistory.length=0; redoStack.length=0; updateHistoryUI();
-    })();
+    player.clear();
+    speedTimer.cancel();
+    trainer.cancel();
+    solveStatus.textContent = 'Solving...';
+    // a step of the queue, so it solves the cube the queued moves leave and moves queued meanwhile wait for it
+    enqueueAnimation(async ()=>{
+      let moves;
+      try{ moves = await solveInWorker(model, moveHistory.moves); }
+      catch(e){ solveStatus.textContent = e.message; return; }
+      solveStatus.textContent = moves.length ? moves.length+' moves' : 'Already solved';
+      // the player's moves queue behind this step
+      if(moves.length) player.load(moves, 'Solution').play();
+    });
   }
 
-  // Update history UI
+  // The search runs in solver/worker.js, so the page stays responsive; one worker serves every solve and keeps
+  // its lookup tables. Resolves with the moves, or rejects with the reason the state cannot be solved
+  let solverWorker = null, solveRequests = 0;
+  function solveInWorker(model, history){
+    if(!solverWorker) solverWorker = new Worker(new URL('./solver/worker.js', import.meta.url), { type:'module' });
+    const id = ++solveRequests, worker = solverWorker;
+    return new Promise((resolve, reject)=>{
+      const answer = ({ data })=>{
+        if(data.id!==id) return;
+        stop();
+        if(data.error) reject(new Error(data.error)); else resolve(data.moves);
+      };
+      const failed = e=>{
+        stop();
+        // a worker that failed to load is not used again
+        if(solverWorker===worker) solverWorker = null;
+        reject(new Error('The solver could not run: '+(e.message || 'the worker failed to load')));
+      };
+      const stop = ()=>{ worker.removeEventListener('message', answer); worker.removeEventListener('error', failed); };
+      worker.addEventListener('message', answer);
+      worker.addEventListener('error', failed);
+      worker.postMessage({ id, size:model.size, facelets:model.toFaceletString(), history });
+    });
+  }
+
+  // Update history UI: the moves that led to the cube, one per line, or for a loaded reconstruction grouped by
+  // step with their move count, time and TPS. What comes next (the rest of a loaded sequence, or the moves redo
+  // would replay) follows dimmed, and the last applied move is highlighted. Every move and step can be clicked
+  // to jump the cube there (jumpToHistory)
   function updateHistoryUI(){
-    historyDiv.innerHTML = moveHistory.map((m,i)=>`${i+1}. ${m.face}${m.layer>0?m.layer+"":""}${m.turns===-1?"'":(m.turns===2?"2":"")}`).join('<br>');
+    const applied = moveHistory.length;
+    const ahead = player.loaded ? player.moves.slice(player.position) : moveHistory.redoLine.map(n=>n.move);
+    const timeline = moveHistory.moves.concat(ahead);
+    const entry = i=>{
+      const span = document.createElement('span');
+      span.dataset.count = i+1;
+      span.textContent = formatMove(timeline[i], cubeSize);
+      if(i>=applied) span.className = 'muted';
+      else if(i===applied-1 && (player.loaded ? player.position>0 : ahead.length>0)) span.className = 'current';
+      return span;
+    };
+    historyDiv.textContent = '';
+    const groups = reconstructionGroups();
+    if(!groups) timeline.forEach((m, i)=>{
+      const line = document.createElement('div');
+      line.append(`${i+1}. `, entry(i));
+      historyDiv.appendChild(line);
+    });
+    else for(const g of groups){
+      const block = document.createElement('div');
+      block.className = 'step';
+      block.classList.toggle('active', applied>g.start && applied<=g.end);
+      const label = document.createElement('span');
+      label.className = 'step-label';
+      label.dataset.count = g.end;
+      label.textContent = g.label+':';
+      block.append(label, ' ');
+      for(let i=g.start;i<g.end;i++) block.append(entry(i), ' ');
+      const summary = document.createElement('span');
+      summary.className = 'muted';
+      summary.textContent = '('+stepSummary(g)+')';
+      block.appendChild(summary);
+      historyDiv.appendChild(block);
+    }
+    if(groups) historyDiv.append(Object.assign(document.createElement('div'), { className:'muted', textContent:'Total: '+stepSummary(reconstruction.total) }));
+    const highlighted = historyDiv.querySelector('.current');
+    if(highlighted) highlighted.scrollIntoView({ block:'nearest' });
+    updateHistoryTreeUI();
   }
 
-  // Export / import
-  function exportState(){
-    const exportObj = { N, cubeState, moveHistory };
-    exportArea.value = JSON.stringify(exportObj);
-  }
-  function importState(){
-    try{
-      const obj = JSON.parse(exportArea.value);
-      if(!obj || !obj.N) throw new Error('Invalid');
-      buildCube(obj.N);
-      if(obj.cubeState){ cubeState = obj.cubeState; rebuildBaseMatricesFromState();
-        // write matrices to instanced meshes
-        for(const sidx in stickers){ const s = stickers[sidx]; const inst = faceInstanced[s.face]; if(inst && (s.instanceIndex!==undefined && s.instanceIndex!==null)){ try{ inst.setMatrixAt(s.instanceIndex, baseMatrices[sidx]); inst.instanceMatrix.needsUpdate=true; }catch(e){} } }
+  // Jump the cube to just after the count-th move of the history panel: through the player for moves of the
+  // loaded sequence, otherwise to that node of the history tree
+  function jumpToHistory(count){
+    const applied = moveHistory.length;
+    if(player.loaded && count>=applied-player.position){ player.seek(count-applied+player.position); return; }
+    if(count<=applied) jumpToNode(count ? moveHistory.path[count-1] : moveHistory.root);
+    else jumpToNode(moveHistory.redoLine[count-applied-1]);
+  }
+
+  // Branches panel: the whole history tree as a line of moves, each other branch in parentheses after the move
+  // it replaces (like variations in chess notation). The line through the current node comes first
+  function updateHistoryTreeUI(){
+    historyTreeDiv.textContent = '';
+    if(![...moveHistory.nodes.values()].some(n=>n.children.length>1)){
+      historyTreeDiv.textContent = 'No branches yet: undo, then turn something else to start one.';
+      return;
+    }
+    const onPath = new Set(moveHistory.path);
+    const mainChild = node=>node.children.find(c=>onPath.has(c)) || node.last || node.children[0];
+    const moveSpan = node=>{
+      const span = document.createElement('span');
+      span.dataset.node = node.id;
+      span.textContent = formatMove(node.move, cubeSize);
+      span.title = 'Move '+node.depth;
+      if(node===moveHistory.current) span.className = 'current';
+      else if(!onPath.has(node)) span.className = 'muted';
+      return span;
+    };
+    // the moves after node, with the branches that leave the line on the way
+    const line = (node, out)=>{
+      for(let n=node; n.children.length;){
+        const next = mainChild(n);
+        out.append(moveSpan(next), ' ');
+        for(const alt of n.children) if(alt!==next){
+          const branch = document.createElement('span');
+          branch.className = 'branch';
+          branch.append('(', moveSpan(alt), ' ');
+          line(alt, branch);
+          branch.append(') ');
+          out.appendChild(branch);
+        }
+        n = next;
       }
-      if(Array.isArray(obj.moveHistory)) moveHistory = obj.moveHistory;
-      updateHistoryUI();
-    }catch(e){ alert('Failed to import state: '+e.message); }
+    };
+    line(moveHistory.root, historyTreeDiv);
   }
 
-  // Helpers for rotating layer by small temporary animation (e.g., highlight)
-  function animateLayerRotation(axis, layerIndex, angle, duration){
-    const affected = stickers.map((s,i)=>({s,i})).filter(si=>{
-      const s=si.s; if(axis==='x') return s.x===layerIndex; if(axis==='y') return s.y===layerIndex; return s.z===layerIndex; });
-    const originals = affected.map(a=>({ index:a.i, face:a.s.face, instanceIndex:a.s.instanceIndex, pos:a.s.pos.clone(), normal:a.s.normal.clone(), mat: (baseMatrices[a.i]?baseMatrices[a.i].clone():new THREE.Matrix4()) }));
+  // ---- Reconstructions (reconstruction.js) ----
+  // Loading one resets the cube and loads scramble and solution into the player, stopped after the scramble.
+  // While the player holds it, the history panel groups the moves by step
+  let reconstruction = null; // {moves (the player's copy), groups, total}
+
+  function loadReconstruction(){
+    let recon, stats;
+    try{ recon = parseReconstruction(reconInput.value, cubeSize); stats = reconstructionStats(recon, cubeSize); }
+    catch(e){ reconError.textContent = e.message; return; }
+    reconError.textContent = '';
+    buildCube(cubeSize);
+    const offset = recon.scramble.length;
+    const groups = stats.steps.map(s=>({ ...s, start:s.start+offset, end:s.end+offset }));
+    if(offset) groups.unshift({ label:'Scramble', start:0, end:offset, count:countMoves(recon.scramble, cubeSize), time:null, tps:null });
+    player.load([...recon.scramble, ...recon.steps.flatMap(s=>s.moves)], 'Reconstruction');
+    reconstruction = { moves:player.moves, groups, total:stats.total };
+    player.seek(offset);
+  }
+
+  // steps of the reconstruction in history positions, or null when the player holds something else
+  function reconstructionGroups(){
+    if(!reconstruction || player.moves!==reconstruction.moves) return null;
+    const base = moveHistory.length - player.position;
+    const groups = reconstruction.groups.map(g=>({ ...g, start:g.start+base, end:g.end+base }));
+    if(base) groups.unshift({ label:'Before', start:0, end:base, count:countMoves(moveHistory.moves.slice(0, base), cubeSize), time:null, tps:null });
+    return groups;
+  }
+
+  function stepSummary(s){
+    return s.count+(s.count===1 ? ' move' : ' moves') + (s.time===null ? '' : ', '+formatTime(s.time)+' s') + (s.tps===null ? '' : ', '+s.tps.toFixed(2)+' TPS');
+  }
+
+  // Reflect the player in the playback panel
+  function updatePlayerUI(){
+    timeline.max = player.length;
+    timeline.value = player.position;
+    timeline.disabled = !player.loaded;
+    playerInfo.textContent = player.loaded ? `${player.label} ${player.position} / ${player.length}` : '';
+    playPauseBtn.textContent = player.playing ? 'Pause' : 'Play';
+    updateHistoryUI();
+  }
+  player.subscribe(updatePlayerUI);
+
+  // Parse the algorithm text box and queue its moves
+  function playAlgorithm(){
+    let moves;
+    try{ moves = parseAlgorithm(algInput.value, cubeSize); }
+    catch(e){ algError.textContent = e.message; return; }
+    algError.textContent = '';
+    player.load(moves, 'Algorithm').play();
+  }
+
+  // ---- External move sources (move-sources.js) ----
+  // A WebSocket bridge (a smart cube, a test harness) or a replayed recording turns the cube through the same
+  // queue as the keys, so the history, timer and trainer take its moves as the user's. A move that arrives
+  // while the one before is still turning is applied at once, so the cube keeps up with a fast solver.
+  // The moves since the source started are kept with their times for the reconstruction box
+  let moveSource = null, unsubscribeSource = null;
+  let sourceLog = []; // {move, time}
+  let sourcePending = 0;
+
+  function startSource(source){
+    if(moveSource){ unsubscribeSource(); moveSource.stop(); }
+    moveSource = source;
+    sourceLog = [];
+    unsubscribeSource = source.subscribe(e=>{
+      if(e.type==='move'){
+        sourceLog.push({ move:e.move, time:e.time });
+        sourcePending++;
+        performMove({ ...e.move }, true, { animate:sourcePending===1 })
+          .catch(err=>{
+            // a move the cube cannot take (made for another size): stop listening rather than fail on every move
+            if(moveSource!==source || source.status==='error') return;
+            source.stop();
+            source.setStatus('error', 'Stopped on a move the cube cannot make: '+err.message);
+          })
+          .finally(()=>{ sourcePending--; });
+      }
+      updateSourceUI();
+    });
+    source.start(cubeSize);
+  }
+
+  function connectSource(){
+    const url = sourceUrlInput.value.trim();
+    if(url) startSource(new WebSocketSource(url));
+  }
+
+  function replayFile(file){
+    file.text().then(text=>startSource(new ReplaySource(text, { label:file.name, speed:parseFloat(playbackRate.value) })));
+  }
+
+  function stopSource(){
+    if(moveSource) moveSource.stop();
+  }
+
+  // the received moves as timed reconstruction text (R@0 U@120 ...), ready for Load reconstruction
+  function sourceToReconstruction(){
+    if(!sourceLog.length){ sourceStatus.textContent = 'No moves received yet'; return; }
+    reconInput.value = formatTimedMoves(sourceLog.map(e=>e.move), sourceLog.map(e=>e.time), cubeSize);
+    reconError.textContent = '';
+  }
+
+  function updateSourceUI(){
+    const active = !!moveSource?.active;
+    sourceStatus.textContent = moveSource ? moveSource.message + (sourceLog.length ? ' - '+sourceLog.length+(sourceLog.length===1 ? ' move' : ' moves')+' received' : '') : '';
+    sourceConnectBtn.disabled = replayBtn.disabled = active;
+    sourceStopBtn.disabled = !active;
+    sourceReconBtn.disabled = !sourceLog.length;
+  }
+
+  // Export / import (formats.js): JSON, facelet string, move text or a shareable link
+  function exportState(){
+    const text = writeState(model, moveHistory.moves, exportFormat.value, { pictures:pictureSettings });
+    exportArea.value = exportFormat.value==='hash' ? location.href.split('#')[0]+text : text;
+    importError.textContent = '';
+  }
+  // the format is detected from the text; plain moves are played from solved on a cube of the current size
+  function importState(text=exportArea.value){
+    let result;
+    try{ result = readState(text, cubeSize, { names:COLOR_NAMES }); }
+    catch(e){ importError.textContent = 'Import failed: '+e.message; return false; }
+    importError.textContent = '';
+    loadState(result);
+    return true;
+  }
+  // a state read by readState, with its size, history and pictures
+  function loadState(result){
+    if(result.pictures) setPictures(result.pictures);
+    buildCube(result.model.size);
+    setModel(result.model);
+    moveHistory.reset(result.history);
+    updateHistoryUI();
+  }
+  // opening a shared link loads its state
+  function importFromHash(){
+    if(location.hash.length>1) importState(location.hash);
+  }
+
+  // ---- Color scheme editor ----
+  // A preset from the list, or any color per face from the color inputs (which makes the scheme 'custom')
+  function makeSchemeEditor(){
+    for(const [key, preset] of Object.entries(PALETTES)) paletteSelect.add(new Option(preset.label, key));
+    paletteSelect.add(new Option('Custom', 'custom'));
+    for(const f of FACE_ORDER){
+      const input = document.createElement('input');
+      input.type = 'color';
+      input.dataset.face = f;
+      input.addEventListener('input', ()=>{
+        FACE_COLORS[f] = input.value;
+        colorSettings.palette = 'custom';
+        applyColorScheme();
+      });
+      schemeEditor.appendChild(input);
+    }
+  }
+
+  function choosePalette(key){
+    const preset = PALETTES[key];
+    if(!preset) return;
+    Object.assign(FACE_COLORS, preset.colors);
+    Object.assign(COLOR_NAMES, preset.names);
+    colorSettings.palette = key;
+    applyColorScheme();
+  }
+
+  // push the scheme to the 3D stickers, the net, the palette and the editor, and remember it
+  function applyColorScheme(){
+    for(const f of FACE_ORDER) faceColors[f].set(FACE_COLORS[f]);
+    updateStickerColors();
+    netEditor.render(model);
+    for(const swatch of paletteDiv.children){
+      swatch.style.background = FACE_COLORS[swatch.dataset.color];
+      swatch.title = 'Paint '+COLOR_NAMES[swatch.dataset.color];
+    }
+    for(const input of schemeEditor.children){
+      input.value = FACE_COLORS[input.dataset.face];
+      input.title = input.dataset.face+' ('+COLOR_NAMES[input.dataset.face]+')';
+    }
+    paletteSelect.value = colorSettings.palette;
+    drawPictureAtlas();
+    toggleMarkersBtn.textContent = colorSettings.markers ? 'Hide markers' : 'Show markers';
+    checkPattern();
+    saveColorSettings(colorSettings);
+  }
+
+  // ---- Picture cube ----
+  // Plain colors, numbered stickers or a picture per face (pictures.js). Uploads are scaled down to PICTURE_SIZE
+  // and kept as data URLs, so they are saved with the settings and go into JSON exports
+  function makePictureEditor(){
+    for(const [key, label] of Object.entries(PICTURE_MODES)) pictureModeSelect.add(new Option(label, key));
+    const file = document.createElement('input');
+    file.type = 'file'; file.accept = 'image/*';
+    let face = null;
+    file.addEventListener('change', ()=>{
+      if(file.files[0]) uploadPicture(face, file.files[0]);
+      file.value = '';
+    });
+    for(const f of FACE_ORDER){
+      const b = document.createElement('button');
+      b.dataset.face = f;
+      b.onclick = ()=>{ face = f; file.click(); };
+      pictureInputsDiv.appendChild(b);
+    }
+  }
+
+  function uploadPicture(face, file){
+    const url = URL.createObjectURL(file), image = new Image();
+    image.onload = ()=>{
+      URL.revokeObjectURL(url);
+      const scale = Math.min(1, PICTURE_SIZE/Math.max(image.width, image.height));
+      const scaled = document.createElement('canvas');
+      scaled.width = Math.max(1, Math.round(image.width*scale)); scaled.height = Math.max(1, Math.round(image.height*scale));
+      scaled.getContext('2d').drawImage(image, 0, 0, scaled.width, scaled.height);
+      pictureError.textContent = '';
+      setPictures({ mode:'images', images:{ ...pictureSettings.images, [face]:scaled.toDataURL('image/jpeg', 0.85) } });
+    };
+    image.onerror = ()=>{
+      URL.revokeObjectURL(url);
+      pictureError.textContent = 'Could not read '+file.name+' as an image';
+    };
+    image.src = url;
+  }
+
+  // switch to picture settings {mode, images}: load the images, redraw the atlas and stickers, and remember them
+  function setPictures({ mode, images }){
+    pictureSettings.mode = mode;
+    pictureSettings.images = { ...images };
+    for(const f of FACE_ORDER){
+      const url = pictureSettings.images[f];
+      if(!url){ delete pictureImages[f]; continue; }
+      if(pictureImages[f]?.src===url) continue;
+      const image = new Image();
+      image.onload = ()=>{
+        if(pictureSettings.images[f]!==url) return;
+        pictureImages[f] = image;
+        drawPictureAtlas();
+      };
+      image.src = url;
+    }
+    drawPictureAtlas();
+    stickerMesh.material = mode==='off' ? stickerMaterial : pictureMaterial;
+    updateStickerColors();
+    pictureModeSelect.value = mode;
+    for(const b of pictureInputsDiv.children){
+      const f = b.dataset.face;
+      b.textContent = f+(pictureSettings.images[f] ? ' \u2713' : '');
+      b.title = 'Picture for the '+f+' face ('+COLOR_NAMES[f]+')';
+    }
+    savePictureSettings(pictureSettings);
+  }
+
+  // Image export: the net as SVG or PNG, and the 3D view as PNG
+  function downloadBlob(blob, filename){
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url; a.download = filename;
+    a.click();
+    setTimeout(()=>URL.revokeObjectURL(url), 1000);
+  }
+  function currentNetSvg(){
+    return netSvg(model, FACE_COLORS, { cell:Math.max(8, Math.round(240/Math.max(...dims))), background:'#1e0033' });
+  }
+  function exportNetSvg(){
+    downloadBlob(new Blob([currentNetSvg()], { type:'image/svg+xml' }), `cube-${sizeName()}-net.svg`);
+  }
+  // rasterize the SVG through an image drawn on a canvas
+  function exportNetPng(){
+    const img = new Image();
+    const url = URL.createObjectURL(new Blob([currentNetSvg()], { type:'image/svg+xml' }));
+    img.onload = ()=>{
+      const c = document.createElement('canvas');
+      c.width = img.width; c.height = img.height;
+      c.getContext('2d').drawImage(img, 0, 0);
+      URL.revokeObjectURL(url);
+      c.toBlob(blob=>downloadBlob(blob, `cube-${sizeName()}-net.png`), 'image/png');
+    };
+    img.src = url;
+  }
+  // the drawing buffer is only valid right after a render, so render and read it in one go
+  function exportScreenshot(){
+    renderer.render(scene, camera);
+    canvas.toBlob(blob=>downloadBlob(blob, `cube-${sizeName()}.png`), 'image/png');
+  }
+
+  // Helpers for rotating a layer temporarily (move animations, drags, highlight)
+  // Snapshot of the stickers in one layer: their resting positions and normals
+  // (layers from..to for a block of layers)
+  function captureLayer(axis, from, to=from){
+    const affected = stickers.filter(s=>s[axis]>=from && s[axis]<=to);
+    return affected.map(s=>({ instanceIndex:s.instanceIndex, pos:s.pos.clone(), normal:s.normal.clone() }));
+  }
+
+  // Draw captured stickers rotated by angle about the axis through the cube center (every layer center lies on it)
+  function poseLayer(originals, axis, angle){
+    const q = new THREE.Quaternion();
+    const axisVec = axis==='x'?new THREE.Vector3(1,0,0):axis==='y'?new THREE.Vector3(0,1,0):new THREE.Vector3(0,0,1);
+    q.setFromAxisAngle(axisVec, angle);
+    for(const o of originals){
+      const p = o.pos.clone().applyQuaternion(q);
+      const n = o.normal.clone().applyQuaternion(q);
+      const m = new THREE.Matrix4(); const qq = new THREE.Quaternion(); qq.setFromUnitVectors(new THREE.Vector3(0,0,1), n); m.makeRotationFromQuaternion(qq); m.setPosition(p);
+      stickerMesh.setMatrixAt(o.instanceIndex, m);
+    }
+    stickerMesh.instanceMatrix.needsUpdate = true;
+  }
+
+  // Animate captured stickers from one angle to another; ease maps time 0..1 to the fraction covered
+  function tweenLayer(originals, axis, from, to, duration, ease){
     const start = performance.now();
     return new Promise(resolve=>{
       function frame(){
         const t = Math.min(1,(performance.now()-start)/duration);
-        const eased = Math.sin(t*Math.PI);
-        const current = angle*eased;
-        const q = new THREE.Quaternion();
-        const axisVec = axis==='x'?new THREE.Vector3(1,0,0):axis==='y'?new THREE.Vector3(0,1,0):new THREE.Vector3(0,0,1);
-        q.setFromAxisAngle(axisVec, current);
-        for(const o of originals){
-          const p = o.pos.clone().applyQuaternion(q);
-          const n = o.normal.clone().applyQuaternion(q);
-          const m = new THREE.Matrix4(); const qq = new THREE.Quaternion(); qq.setFromUnitVectors(new THREE.Vector3(0,0,1), n); m.makeRotationFromQuaternion(qq); m.setPosition(p);
-          const inst = faceInstanced[o.face]; if(inst && (o.instanceIndex!==undefined && o.instanceIndex!==null)){ try{ inst.setMatrixAt(o.instanceIndex, m); inst.instanceMatrix.needsUpdate=true; }catch(e){} }
-        }
+        poseLayer(originals, axis, from + (to-from)*ease(t));
         if(t<1) requestAnimationFrame(frame); else resolve();
       }
       frame();
     });
   }
 
-  // build UI move buttons Singmaster: U D L R F B and their primes and 2 variants
+  // swing a layer out by angle and back
+  function animateLayerRotation(axis, layerIndex, angle, duration){
+    return tweenLayer(captureLayer(axis, layerIndex), axis, 0, angle, duration, t=>Math.sin(t*Math.PI));
+  }
+
+  // build UI move buttons Singmaster: the chosen set (face turns U D L R F B, wide moves, slices or rotations)
+  // with their primes and 2 variants; wide moves and slices need at least a 3x3
   const faces = ['U','R','F','D','L','B'];
+  const MOVE_SETS = { face:faces, wide:faces.map(f=>f+'w'), slice:['M','E','S'], rotation:['x','y','z'] };
   function makeMoveButtons(){
+    for(const option of moveSetSelect.options) option.disabled = Math.max(...dims)<3 && (option.value==='wide' || option.value==='slice');
+    if(moveSetSelect.selectedOptions[0].disabled) moveSetSelect.value = 'face';
     moveButtonsDiv.innerHTML='';
-    for(const f of faces){
-      const b = document.createElement('button'); b.textContent = f; b.onclick = ()=>{ performFaceMoveFromUI(f,1); };
-      const b2 = document.createElement('button'); b2.textContent = f+"'"; b2.onclick = ()=>{ performFaceMoveFromUI(f,-1); };
-      const b3 = document.createElement('button'); b3.textContent = f+"2"; b3.onclick = ()=>{ performFaceMoveFromUI(f,2); };
-      moveButtonsDiv.appendChild(b); moveButtonsDiv.appendChild(b2); moveButtonsDiv.appendChild(b3);
+    for(const letter of MOVE_SETS[moveSetSelect.value]){
+      for(const token of [letter, letter+"'", letter+'2']){
+        const b = document.createElement('button'); b.textContent = token; b.onclick = ()=>{ performTokenFromUI(token); };
+        // cuboids: quarter turns of layers that are not square (and moves that need more layers) are left out
+        try{ parseAlgorithm(token, cubeSize); }
+        catch(e){ b.disabled = true; b.title = e.message; }
+        moveButtonsDiv.appendChild(b);
+      }
     }
   }
-  function performFaceMoveFromUI(face, turns){
-    // default to outer layer index (if N>1 outer is N-1 for R,F,U and 0 for L,B,D? We'll choose outer as max index for R,F,U and 0 for others to match viewer notation)
-    const outerIndex = {'U':N-1,'R':N-1,'F':N-1,'D':0,'L':0,'B':0}[face]||0;
-    performMove({face, layer:outerIndex, turns}, true);
+  // one button or key = one move, however many layers it turns (a layer number too deep for the cube is reported)
+  function performTokenFromUI(token){
+    let moves;
+    try{ moves = parseAlgorithm(token, cubeSize); }
+    catch(e){ algError.textContent = e.message; return; }
+    for(const move of moves) performMove(move, true);
+  }
+
+  // ---- Keyboard (keymap.js) ----
+  // Keys turn the moves of the chosen keymap; digits typed first pick the layer (2 then R is 2R).
+  // Every move can be rebound: press its button, then the new key (Escape cancels). Saved in localStorage.
+  const keymap = loadKeymap();
+  const keyInput = new KeyInput(keymap.bindings);
+  let rebinding = null; // move waiting for its new key
+
+  function makeKeymapEditor(){
+    for(const [key, preset] of Object.entries(KEYMAP_PRESETS)) keymapSelect.add(new Option(preset.label, key));
+    keymapSelect.add(new Option('Custom', 'custom'));
+    updateKeymapUI();
+  }
+
+  function chooseKeymap(key){
+    const preset = KEYMAP_PRESETS[key];
+    if(!preset) return;
+    keymap.preset = key;
+    keymap.bindings = keyInput.bindings = { ...preset.bindings };
+    rebinding = null;
+    saveKeymap(keymap);
+    updateKeymapUI();
+  }
+
+  function updateKeymapUI(){
+    keymapSelect.value = keymap.preset;
+    keyBindingsDiv.innerHTML = '';
+    for(const token of KEY_ACTIONS){
+      const b = document.createElement('button');
+      const keys = keyInput.keysFor(token).map(keyLabel).join(' ');
+      b.textContent = token+' : '+(rebinding===token ? 'press a key' : keys || '-');
+      b.classList.toggle('active', rebinding===token);
+      b.onclick = ()=>{ rebinding = rebinding===token ? null : token; updateKeymapUI(); };
+      keyBindingsDiv.appendChild(b);
+    }
   }
 
   // keyboard shortcuts
   window.addEventListener('keydown', (e)=>{
-    if(e.target && (e.target.tagName==='INPUT' || e.target.tagName==='TEXTAREA')) return;
-    const key = e.key.toUpperCase();
-    if(['U','D','L','R','F','B'].includes(key)){
-      // check for modifier ' to invert
-      const turns = e.shiftKey ? -1 : 1;
-      performFaceMoveFromUI(key, turns);
+    if(['Shift','Control','Alt','Meta'].includes(e.key)) return;
+    if(rebinding){
+      e.preventDefault();
+      if(e.key!=='Escape'){
+        keyInput.rebind(rebinding, keyName(e));
+        keymap.preset = 'custom';
+        saveKeymap(keymap);
+      }
+      rebinding = null;
+      updateKeymapUI();
+      return;
     }
-    if(e.key==='Z' && (e.ctrlKey||e.metaKey)) undo();
-    if(e.key==='Y' && (e.ctrlKey||e.metaKey)) redo();
+    if(e.target && (e.target.tagName==='INPUT' || e.target.tagName==='TEXTAREA' || e.target.tagName==='SELECT')) return;
+    if(e.ctrlKey || e.metaKey){
+      const key = e.key.toLowerCase();
+      if(key==='z'){ e.preventDefault(); undo(); }
+      if(key==='y'){ e.preventDefault(); redo(); }
+      return;
+    }
+    if(e.altKey) return;
+    const token = keyInput.press(keyName(e));
+    if(token){ e.preventDefault(); performTokenFromUI(token); }
   });
 
   // UI bindings
   buildBtn.addEventListener('click', ()=>buildCube(inputN.value));
-  scrambleBtn.addEventListener('click', ()=>scramble(Math.max(10, Math.min(200, N*10))));
+  scrambleBtn.addEventListener('click', scramble);
   solveBtn.addEventListener('click', ()=>solve());
-  resetBtn.addEventListener('click', ()=>{ buildCube(N); });
-  toggleMarkersBtn.addEventListener('click', ()=>{ markerEnabled = !markerEnabled; alert('Color-blind markers toggled: '+markerEnabled); });
+  resetBtn.addEventListener('click', ()=>{ buildCube(cubeSize); });
+  toggleMarkersBtn.addEventListener('click', ()=>{ colorSettings.markers = !colorSettings.markers; applyColorScheme(); });
+  paletteSelect.addEventListener('change', ()=>choosePalette(paletteSelect.value));
+  pictureModeSelect.addEventListener('change', ()=>setPictures({ ...pictureSettings, mode:pictureModeSelect.value }));
+  pictureClearBtn.addEventListener('click', ()=>setPictures({ mode:pictureSettings.mode, images:{} }));
   exportBtn.addEventListener('click', exportState);
-  importBtn.addEventListener('click', importState);
-  undoBtn.addEventListener('click', undo); redoBtn.addEventListener('click', redo);
-
-  makeMoveButtons();
+  netSvgBtn.addEventListener('click', exportNetSvg);
+  netPngBtn.addEventListener('click', exportNetPng);
+  screenshotBtn.addEventListener('click', exportScreenshot);
+  importBtn.addEventListener('click', ()=>importState());
+  undoBtn.addEventListener('click', ()=>undo()); redoBtn.addEventListener('click', ()=>redo());
+  playAlgBtn.addEventListener('click', playAlgorithm);
+  reconLoadBtn.addEventListener('click', loadReconstruction);
+  sourceConnectBtn.addEventListener('click', connectSource);
+  sourceStopBtn.addEventListener('click', stopSource);
+  sourceReconBtn.addEventListener('click', sourceToReconstruction);
+  const replayInput = document.createElement('input');
+  replayInput.type = 'file'; replayInput.accept = '.txt,.json,.jsonl,text/*';
+  replayInput.addEventListener('change', ()=>{
+    if(replayInput.files[0]) replayFile(replayInput.files[0]);
+    replayInput.value = '';
+  });
+  replayBtn.addEventListener('click', ()=>replayInput.click());
+  historyDiv.addEventListener('click', e=>{
+    const target = e.target.closest('[data-count]');
+    if(target) jumpToHistory(parseInt(target.dataset.count));
+  });
+  historyTreeDiv.addEventListener('click', e=>{
+    const target = e.target.closest('[data-node]');
+    if(target && moveHistory.nodes.has(parseInt(target.dataset.node))) jumpToNode(moveHistory.nodes.get(parseInt(target.dataset.node)));
+  });
+  moveSetSelect.addEventListener('change', makeMoveButtons);
+  keymapSelect.addEventListener('change', ()=>chooseKeymap(keymapSelect.value));
+  playPauseBtn.addEventListener('click', ()=>player.toggle());
+  stepFwdBtn.addEventListener('click', ()=>player.stepForward());
+  stepBackBtn.addEventListener('click', ()=>player.stepBack());
+  playerStartBtn.addEventListener('click', ()=>player.seek(0));
+  playerEndBtn.addEventListener('click', ()=>player.seek(player.length));
+  timeline.addEventListener('input', ()=>player.seek(parseInt(timeline.value)));
+  timerStartBtn.addEventListener('click', startTimedSolve);
+  timerCancelBtn.addEventListener('click', ()=>speedTimer.cancel());
+  timerOkBtn.addEventListener('click', ()=>penalizeLast(''));
+  timerPlus2Btn.addEventListener('click', ()=>penalizeLast('+2'));
+  timerDnfBtn.addEventListener('click', ()=>penalizeLast('DNF'));
+  timerDeleteBtn.addEventListener('click', ()=>speedTimer.remove(speedTimer.solves.length-1));
+  timerClearBtn.addEventListener('click', ()=>{ if(confirm('Delete all '+sizeName()+' times?')) speedTimer.clearSession(); });
+  trainerSetSelect.addEventListener('change', ()=>trainer.selectSet(trainerSetSelect.value));
+  trainerNextBtn.addEventListener('click', nextTrainerCase);
+  trainerRevealBtn.addEventListener('click', ()=>trainer.reveal());
+  trainerImportBtn.addEventListener('click', importTrainerSet);
+  trainerRemoveBtn.addEventListener('click', ()=>{ if(confirm('Delete the case list '+trainer.set.label+'?')) trainer.removeSet(trainer.setKey); });
+  trainerClearBtn.addEventListener('click', ()=>{ if(confirm('Delete the statistics of '+trainer.set.label+'?')) trainer.clearStats(); });
+
+  makePalette();
+  makeSchemeEditor();
+  makePictureEditor();
+  makeKeymapEditor();
+  updatePlayerUI();
+  updateTrainerUI();
+  updateSourceUI();
 
   // Resize handling
   function resize(){
@@ -661,24 +1547,35 @@ import { OrbitControls } from 'https://unpkg.com/three@0.155.0/examples/jsm/cont
   // main render loop
   function render(now){
     controls.update();
+    if(speedTimer.state!=='idle') updateTimerClock();
+    if(trainer.state==='running') trainerDisplay.textContent = formatTime(trainer.elapsed());
     renderer.render(scene, camera);
     requestAnimationFrame(render);
   }
 
   // initial build and start render
-  buildCube(N);
+  buildCube(cubeSize);
+  applyColorScheme();
+  setPictures(pictureSettings);
+  importFromHash();
+  window.addEventListener('hashchange', importFromHash);
   resize();
   requestAnimationFrame(render);
 
   // ==================================================
   // Notes & optimizations in comments:
-  // - We render only sticker faces as InstancedMesh (6 instanced meshes). That reduces draw calls and allows large N.
-  // - Logical state is kept in cubeState (3D array). Move history stores moves as permutations to allow undo/redo.
+  // - We render only sticker faces, all in one InstancedMesh with per-instance colors. That is a single draw call and allows large N.
+  // - Sticker slots never move between moves; after each move the slots are recolored from the model, so the colors follow the pieces.
+  // - Logical state is kept in a CubeModel (cube-model.js, no DOM/WebGL). The move history is a tree (history-tree.js), so undo keeps branches.
   // - Animations compute per-sticker instance matrices on the fly during rotation, then commit new base matrices after logical state update.
   // - Device pixel ratio slider multiplies window.devicePixelRatio for performance tuning.
   // - For very large N you can reduce stickerScale or DPR to keep FPS.
-  // - This implementation uses clone/JSON approach for cubie copying for clarity; for extreme performance, use typed arrays and in-place permutation functions.
-  // - Solve function simply plays inverse of recorded moves; for a real cube solver (optimal solution) integrate Kociemba or similar algorithm.
+  // - CubeModel keeps only the surface: one byte per facelet (plus its origin and spin for picture cubes), turned with
+  //   precomputed per-layer permutation tables.
+  //   A move reports the facelets it touched, so only the turned layer's slots are reset and recolored (see benchmark.js).
+  // - Solve reads the model state (solver/): optimal table search for 2x2, Kociemba two-phase for 3x3, reduction for N>=4.
+  //   The search runs in a module worker (solver/worker.js); its lookup tables are built on the first solve, so that
+  //   one takes a moment longer.
   // ==================================================
 
 })();
\ No newline at end of file
@@ -0,0 +1,187 @@
+// ==========================
+// 3x3 cubie level: corner/edge permutation and orientation (Kociemba conventions)
+// Facelet strings are 54 letters U..B in the CubeModel.toFaceletString() order
+// ==========================
+
+import { CubeModel, FACE_ORDER } from '../cube-model.js';
+
+// Corners URF UFL ULB UBR DFR DLF DBL DRB, facelets listed U/D sticker first, then clockwise
+export const CORNER_FACELETS = [
+  [8,9,20], [6,18,38], [0,36,47], [2,45,11],
+  [29,26,15], [27,44,24], [33,53,42], [35,17,51]
+];
+export const CORNER_COLORS = [
+  ['U','R','F'], ['U','F','L'], ['U','L','B'], ['U','B','R'],
+  ['D','F','R'], ['D','L','F'], ['D','B','L'], ['D','R','B']
+];
+// Edges UR UF UL UB DR DF DL DB FR FL BL BR
+export const EDGE_FACELETS = [
+  [5,10], [7,19], [3,37], [1,46], [32,16], [28,25],
+  [30,43], [34,52], [23,12], [21,41], [50,39], [48,14]
+];
+export const EDGE_COLORS = [
+  ['U','R'], ['U','F'], ['U','L'], ['U','B'], ['D','R'], ['D','F'],
+  ['D','L'], ['D','B'], ['F','R'], ['F','L'], ['B','L'], ['B','R']
+];
+
+export class CubieCube {
+  constructor(cp, co, ep, eo){
+    this.cp = cp ? cp.slice() : [0,1,2,3,4,5,6,7];
+    this.co = co ? co.slice() : [0,0,0,0,0,0,0,0];
+    this.ep = ep ? ep.slice() : [0,1,2,3,4,5,6,7,8,9,10,11];
+    this.eo = eo ? eo.slice() : [0,0,0,0,0,0,0,0,0,0,0,0];
+  }
+
+  clone(){ return new CubieCube(this.cp, this.co, this.ep, this.eo); }
+
+  // this = this * b (apply b after this), corners only
+  cornerMultiply(b){
+    const cp = [], co = [];
+    for(let i=0;i<8;i++){ cp[i] = this.cp[b.cp[i]]; co[i] = (this.co[b.cp[i]] + b.co[i]) % 3; }
+    this.cp = cp; this.co = co;
+  }
+
+  edgeMultiply(b){
+    const ep = [], eo = [];
+    for(let i=0;i<12;i++){ ep[i] = this.ep[b.ep[i]]; eo[i] = (this.eo[b.ep[i]] + b.eo[i]) % 2; }
+    this.ep = ep; this.eo = eo;
+  }
+
+  multiply(b){ this.cornerMultiply(b); this.edgeMultiply(b); }
+
+  // ---- coordinates ----
+  get twist(){ let t = 0; for(let i=0;i<7;i++) t = 3*t + this.co[i]; return t; }
+  set twist(t){
+    let sum = 0;
+    for(let i=6;i>=0;i--){ this.co[i] = t%3; sum += this.co[i]; t = Math.floor(t/3); }
+    this.co[7] = (3 - sum%3) % 3;
+  }
+
+  get flip(){ let f = 0; for(let i=0;i<11;i++) f = 2*f + this.eo[i]; return f; }
+  set flip(f){
+    let sum = 0;
+    for(let i=10;i>=0;i--){ this.eo[i] = f%2; sum += this.eo[i]; f = f>>1; }
+    this.eo[11] = sum%2;
+  }
+
+  // positions of the four UD-slice edges (FR FL BL BR) among the 12, ignoring their order: 0..494
+  get slice(){
+    let a = 0, x = 0;
+    for(let j=11;j>=0;j--){ if(this.ep[j]>=8){ a += binomial(11-j, x+1); x++; } }
+    return a;
+  }
+  set slice(a){
+    const slot = new Array(12).fill(-1);
+    let x = 3;
+    for(let j=0;j<12;j++){
+      if(x>=0 && a >= binomial(11-j, x+1)){ a -= binomial(11-j, x+1); slot[j] = 8 + (3-x); x--; }
+    }
+    let other = 0;
+    for(let j=0;j<12;j++) if(slot[j]<0) slot[j] = other++;
+    this.ep = slot;
+  }
+
+  // phase 2 coordinates, only meaningful in the <U,D,R2,L2,F2,B2> subgroup
+  get cornerPerm(){ return permRank(this.cp); }
+  set cornerPerm(r){ this.cp = permUnrank(r, 8); }
+  get udEdgePerm(){ return permRank(this.ep.slice(0,8)); }
+  set udEdgePerm(r){ const p = permUnrank(r, 8); for(let i=0;i<8;i++) this.ep[i] = p[i]; }
+  get slicePerm(){ return permRank(this.ep.slice(8).map(e=>e-8)); }
+  set slicePerm(r){ const p = permUnrank(r, 4); for(let i=0;i<4;i++) this.ep[8+i] = p[i]+8; }
+
+  // true when edges 0..7 stay in positions 0..7 (phase 2 coordinates are valid)
+  get inPhase2(){ for(let i=0;i<8;i++) if(this.ep[i]>=8) return false; return true; }
+
+  cornerParity(){ return permParity(this.cp); }
+  edgeParity(){ return permParity(this.ep); }
+
+  // Error message when this is not a reachable 3x3 state, otherwise null
+  verify(){
+    if(new Set(this.cp).size!==8) return 'some corners appear twice';
+    if(new Set(this.ep).size!==12) return 'some edges appear twice';
+    if(this.co.reduce((a,b)=>a+b,0)%3!==0) return 'a corner is twisted';
+    if(this.eo.reduce((a,b)=>a+b,0)%2!==0) return 'an edge is flipped';
+    if(this.cornerParity()!==this.edgeParity()) return 'two pieces are swapped (permutation parity)';
+    return null;
+  }
+}
+
+// Build a CubieCube from a 54-letter facelet string whose colors are face letters
+// (centers already U R F D L B). Throws when a corner or edge cannot exist.
+export function faceletsToCubie(f){
+  const cc = new CubieCube();
+  for(let i=0;i<8;i++){
+    let ori = 0;
+    while(ori<3 && f[CORNER_FACELETS[i][ori]]!=='U' && f[CORNER_FACELETS[i][ori]]!=='D') ori++;
+    if(ori===3) throw new Error('Corner '+CORNER_COLORS[i].join('')+' has no U or D sticker');
+    const c0 = f[CORNER_FACELETS[i][ori]], c1 = f[CORNER_FACELETS[i][(ori+1)%3]], c2 = f[CORNER_FACELETS[i][(ori+2)%3]];
+    const j = CORNER_COLORS.findIndex(cc=>cc[0]===c0 && cc[1]===c1 && cc[2]===c2);
+    if(j<0) throw new Error('Impossible corner at '+CORNER_COLORS[i].join(''));
+    cc.cp[i] = j; cc.co[i] = ori%3;
+  }
+  for(let i=0;i<12;i++){
+    const a = f[EDGE_FACELETS[i][0]], b = f[EDGE_FACELETS[i][1]];
+    let j = EDGE_COLORS.findIndex(ec=>ec[0]===a && ec[1]===b);
+    if(j>=0){ cc.ep[i] = j; cc.eo[i] = 0; continue; }
+    j = EDGE_COLORS.findIndex(ec=>ec[0]===b && ec[1]===a);
+    if(j<0) throw new Error('Impossible edge at '+EDGE_COLORS[i].join(''));
+    cc.ep[i] = j; cc.eo[i] = 1;
+  }
+  return cc;
+}
+
+// 54-letter facelet string of a cubie cube (centers U R F D L B); inverse of faceletsToCubie
+export function cubieToFacelets(cc){
+  const f = FACE_ORDER.flatMap(face=>new Array(9).fill(face));
+  for(let i=0;i<8;i++){
+    for(let k=0;k<3;k++) f[CORNER_FACELETS[i][(k+cc.co[i])%3]] = CORNER_COLORS[cc.cp[i]][k];
+  }
+  for(let i=0;i<12;i++){
+    for(let k=0;k<2;k++) f[EDGE_FACELETS[i][(k+cc.eo[i])%2]] = EDGE_COLORS[cc.ep[i]][k];
+  }
+  return f.join('');
+}
+
+// The six clockwise face turns as cubie cubes, derived from CubeModel so both agree
+export const MOVE_CUBES = FACE_ORDER.map(face=>{
+  const model = new CubeModel(3).applyMove({ face, layer:face==='U'||face==='R'||face==='F' ? 2 : 0, turns:1 });
+  return faceletsToCubie(model.toFaceletString());
+});
+
+const BINOMIAL = [];
+for(let n=0;n<13;n++){
+  BINOMIAL[n] = [];
+  for(let k=0;k<13;k++) BINOMIAL[n][k] = k===0 ? 1 : n===0 ? 0 : BINOMIAL[n-1][k-1] + (BINOMIAL[n-1][k]||0);
+}
+function binomial(n, k){ return n<k ? 0 : BINOMIAL[n][k]; }
+
+// Lehmer rank of a permutation of 0..n-1
+export function permRank(p){
+  let r = 0;
+  for(let i=0;i<p.length;i++){
+    let smaller = 0;
+    for(let j=i+1;j<p.length;j++) if(p[j]<p[i]) smaller++;
+    r = r*(p.length-i) + smaller;
+  }
+  return r;
+}
+
+export function permUnrank(r, n){
+  const digits = [];
+  for(let i=n-1;i>=0;i--){ digits[i] = r % (n-i); r = Math.floor(r/(n-i)); }
+  const pool = [...Array(n).keys()], p = [];
+  for(let i=0;i<n;i++) p.push(pool.splice(digits[i],1)[0]);
+  return p;
+}
+
+export function permParity(p){
+  let parity = 0;
+  const seen = new Array(p.length).fill(false);
+  for(let i=0;i<p.length;i++){
+    if(seen[i]) continue;
+    let len = 0;
+    for(let j=i; !seen[j]; j=p[j]){ seen[j] = true; len++; }
+    parity ^= (len+1)&1;
+  }
+  return parity;
+}
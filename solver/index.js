@@ -0,0 +1,62 @@
+// ==========================
+// State-based solver for CubeModel
+// 2x2: optimal table search; 3x3: two-phase; N >= 4: reduction (centers, edges, 3x3 with parity fixes)
+// Returns moves as {face, layer, turns} objects (block turns with toLayer) ready for the animation queue.
+// ==========================
+
+import { FACE_ORDER, faceSign, sizeLabel } from '../cube-model.js';
+import { solvePocketFacelets } from './pocket.js';
+import { solveFacelets } from './two-phase.js';
+import { solveReduction } from './reduction.js';
+import { validateFacelets, colorScheme } from './validate.js';
+import { invertMoves } from '../notation.js';
+
+// rewrite colors so that the solved state (in the scheme, see colorScheme) shows each face's own letter
+function relabel(facelets, scheme){
+  const faceOfColor = {};
+  for(const f of FACE_ORDER) faceOfColor[scheme[f]] = f;
+  return facelets.split('').map(c=>faceOfColor[c]).join('');
+}
+
+// 3x3 facelet string made of the corners of a 2x2 (edges and centers solved)
+function pocketAsThree(facelets){
+  let out = '';
+  for(let f=0;f<6;f++){
+    const c = i=>facelets[f*4+i];
+    out += c(0)+FACE_ORDER[f]+c(1) + FACE_ORDER[f].repeat(3) + c(2)+FACE_ORDER[f]+c(3);
+  }
+  return out;
+}
+
+// Every face shows a single color
+export function isSolvedFacelets(facelets, N){
+  for(let f=0;f<6;f++){
+    const face = facelets.slice(f*N*N, (f+1)*N*N);
+    if(face.split('').some(c=>c!==face[0])) return false;
+  }
+  return true;
+}
+
+// Solve the model's current state. Throws an Error describing why when the state is unsolvable
+// (the first problem found by validateFacelets) or the puzzle is a cuboid. history, the moves that led
+// to the state, is undone instead when that is shorter and really ends on a solved cube.
+export function solveModel(model, history=[]){
+  const moves = search(model);
+  const undo = invertMoves(history);
+  return undo.length<moves.length && model.clone().applyMoves(undo).isSolved() ? undo : moves;
+}
+
+function search(model){
+  const N = model.N;
+  if(N===null) throw new Error('The solver works on NxNxN cubes only, not on a '+sizeLabel(model.size));
+  const facelets = model.toFaceletString();
+  if(isSolvedFacelets(facelets, N)) return [];
+  const problems = validateFacelets(facelets, N);
+  if(problems.length) throw new Error('Unsolvable cube: '+problems[0]);
+  // valid from here on, so the scheme is one a real cube has
+  const state = relabel(facelets, colorScheme(facelets, N).scheme);
+  const outer = face=>faceSign(face)>0 ? N-1 : 0;
+  if(N===2) return solvePocketFacelets(pocketAsThree(state)).map(m=>({ face:m.face, layer:outer(m.face), turns:m.turns }));
+  if(N===3) return solveFacelets(state).map(m=>({ face:m.face, layer:outer(m.face), turns:m.turns }));
+  return solveReduction(state.split('').map(c=>FACE_ORDER.indexOf(c)), N);
+}
@@ -0,0 +1,77 @@
+// ==========================
+// 2x2 solver: optimal (face-turn metric) using a full distance table
+// The DBL corner is kept fixed, so only U, R and F turns are used.
+// ==========================
+
+import { CubieCube, MOVE_CUBES, faceletsToCubie, permRank, permUnrank } from './cubie.js';
+
+const POSITIONS = [0,1,2,3,4,5,7]; // every corner except DBL
+const N_PERM = 5040, N_TWIST = 729;
+const FACES = ['U','R','F'];
+
+let tables = null;
+
+function cubeFrom(perm, twist){
+  const cc = new CubieCube();
+  const p = permUnrank(perm, 7);
+  for(let i=0;i<7;i++) cc.cp[POSITIONS[i]] = POSITIONS[p[i]];
+  let sum = 0;
+  for(let i=5;i>=0;i--){ cc.co[POSITIONS[i]] = twist%3; sum += twist%3; twist = Math.floor(twist/3); }
+  cc.co[7] = (3 - sum%3) % 3;
+  return cc;
+}
+
+function permCoord(cc){ return permRank(POSITIONS.map(pos=>POSITIONS.indexOf(cc.cp[pos]))); }
+function twistCoord(cc){ let t = 0; for(let i=0;i<6;i++) t = 3*t + cc.co[POSITIONS[i]]; return t; }
+
+function initTables(){
+  if(tables) return tables;
+  const permMove = new Uint16Array(N_PERM*9), twistMove = new Uint16Array(N_TWIST*9);
+  for(let c=0;c<N_PERM;c++){
+    for(let f=0;f<3;f++){
+      const cc = cubeFrom(c, 0);
+      for(let p=0;p<3;p++){ cc.cornerMultiply(MOVE_CUBES[f]); permMove[c*9+f*3+p] = permCoord(cc); }
+    }
+  }
+  for(let c=0;c<N_TWIST;c++){
+    for(let f=0;f<3;f++){
+      const cc = cubeFrom(0, c);
+      for(let p=0;p<3;p++){ cc.cornerMultiply(MOVE_CUBES[f]); twistMove[c*9+f*3+p] = twistCoord(cc); }
+    }
+  }
+  const dist = new Int8Array(N_PERM*N_TWIST).fill(-1);
+  dist[0] = 0;
+  for(let depth=0, changed=true; changed; depth++){
+    changed = false;
+    for(let i=0;i<dist.length;i++){
+      if(dist[i]!==depth) continue;
+      const p = Math.floor(i/N_TWIST), t = i%N_TWIST;
+      for(let m=0;m<9;m++){
+        const j = permMove[p*9+m]*N_TWIST + twistMove[t*9+m];
+        if(dist[j]<0){ dist[j] = depth+1; changed = true; }
+      }
+    }
+  }
+  tables = { permMove, twistMove, dist };
+  return tables;
+}
+
+// Solve the corners of a 54-letter facelet string whose DBL corner is already solved.
+// Returns a list of {face, turns}.
+export function solvePocketFacelets(facelets){
+  const cc = faceletsToCubie(facelets);
+  if(cc.cp[6]!==6 || cc.co[6]!==0) throw new Error('DBL corner must be solved before the 2x2 search');
+  if(new Set(cc.cp).size!==8) throw new Error('Unsolvable cube: some corners appear twice');
+  if(cc.co.reduce((a,b)=>a+b,0)%3!==0) throw new Error('Unsolvable cube: a corner is twisted');
+  const { permMove, twistMove, dist } = initTables();
+  let p = permCoord(cc), t = twistCoord(cc);
+  const moves = [];
+  while(dist[p*N_TWIST+t]>0){
+    const d = dist[p*N_TWIST+t];
+    for(let m=0;m<9;m++){
+      const np = permMove[p*9+m], nt = twistMove[t*9+m];
+      if(dist[np*N_TWIST+nt]===d-1){ moves.push({ face:FACES[(m/3)|0], turns:[1,2,-1][m%3] }); p = np; t = nt; break; }
+    }
+  }
+  return moves;
+}
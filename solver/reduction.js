@@ -0,0 +1,572 @@
+// ==========================
+// Reduction solver for NxNxN, N >= 4
+// 1. fix wing-edge parity with single slice turns (so no OLL parity appears later)
+// 2. solve every center orbit with commutator 3-cycles
+// 3. pair the edges: every wing orbit is 3-cycled onto the midges (odd N) or onto a solved
+//    edge layout with the corner parity (even N), so no PLL parity appears later
+// 4. solve the reduced cube with the 3x3 two-phase solver using outer face turns
+// Commutators and setup moves are found by search on each orbit, so the same code works for any N.
+// Each step takes the cycle that places the most pieces per move, widens its slice turns into block turns
+// where that solves pieces of the neighbouring orbits too, and tidy() cancels and merges adjacent turns.
+// Works on facelet arrays of face indices (0..5 in FACE_ORDER) whose colors are already relabelled
+// so that the solved cube has every face showing its own index.
+// ==========================
+
+import { FACE_ORDER, cubieToFacelet, movePermutation, normalizeTurns, faceToAxis, faceSign, moveLayers } from '../cube-model.js';
+import { faceletsToCubie, EDGE_FACELETS, EDGE_COLORS } from './cubie.js';
+import { solveFacelets } from './two-phase.js';
+
+// generated moves always name the positive face of an axis; the result is renamed at the end
+const AXIS_FACE = { x:'R', y:'U', z:'F' };
+const AXES = ['x','y','z'];
+const NEGATIVE_FACE = { x:'L', y:'D', z:'B' };
+const NORMALS = { U:[0,1,0], D:[0,-1,0], R:[1,0,0], L:[-1,0,0], F:[0,0,1], B:[0,0,-1] };
+const MAX_SETUP_DEPTH = 2;
+const BASE_LENGTH = 8; // moves of a commutator [A, X C X']
+
+function inverse(moves){ return moves.slice().reverse().map(m=>({ ...m, turns:normalizeTurns(-m.turns) })); }
+
+// Facelet state plus cached move permutations and the moves applied so far
+export class BigCube {
+  constructor(N, state){
+    this.N = N;
+    this.state = Uint8Array.from(state);
+    this.perms = new Map();
+    this.supports = new Map();
+    this.moves = [];
+  }
+
+  perm(move){
+    const key = this.key(move);
+    let p = this.perms.get(key);
+    if(!p){ p = movePermutation(this.N, move); this.perms.set(key, p); }
+    return p;
+  }
+
+  // the facelets a move takes somewhere else
+  support(move){
+    const key = this.key(move);
+    let list = this.supports.get(key);
+    if(!list){
+      const p = this.perm(move);
+      list = [];
+      for(let i=0;i<p.length;i++) if(p[i]!==i) list.push(i);
+      this.supports.set(key, list);
+    }
+    return list;
+  }
+
+  key(move){
+    const [lo, hi] = moveLayers(move);
+    return ((FACE_ORDER.indexOf(move.face)*this.N + lo)*this.N + hi)*4 + (move.turns & 3);
+  }
+
+  apply(moves){
+    const next = new Uint8Array(this.state.length);
+    for(const m of moves){
+      const p = this.perm(m);
+      for(let i=0;i<p.length;i++) next[p[i]] = this.state[i];
+      this.state.set(next);
+      this.moves.push(m);
+    }
+  }
+
+  // the state after moves, leaving the cube as it is
+  preview(moves){
+    let state = this.state.slice();
+    for(const m of moves){
+      const p = this.perm(m), next = new Uint8Array(state.length);
+      for(let i=0;i<p.length;i++) next[p[i]] = state[i];
+      state = next;
+    }
+    return state;
+  }
+
+  // whether the commutator [A, X C X'] (moves, see Orbit.findBases) displaces at most limit facelets. Only
+  // what A or X C X' moves can end up elsewhere, and X C X' moves the facelets X brings into C
+  displacesAtMost(moves, limit){
+    const [A, X, C] = moves, perms = moves.map(m=>this.perm(m)), touched = [];
+    const mark = this.mark || (this.mark = new Uint8Array(this.state.length));
+    const touch = f=>{ if(!mark[f]){ mark[f] = 1; touched.push(f); } };
+    const back = this.perm({ ...X, turns:normalizeTurns(-X.turns) });
+    for(const f of this.support(A)) touch(f);
+    for(const f of this.support(C)) touch(back[f]);
+    let count = 0;
+    for(const f of touched){
+      mark[f] = 0;
+      if(count>limit) continue;
+      let at = f;
+      for(const p of perms) at = p[at];
+      if(at!==f) count++;
+    }
+    return count<=limit;
+  }
+
+  faceletIndex(face, row, col){ return FACE_ORDER.indexOf(face)*this.N*this.N + row*this.N + col; }
+}
+
+// One orbit of interchangeable pieces, each piece tracked by its first facelet (slots[k]).
+// Finds pure commutator 3-cycles and conjugates them by setup moves to reach any three slots.
+// stickers: facelets per piece; isBaseCandidate(A, C) filters the commutators [A, X C X'] tried.
+class Orbit {
+  constructor(cube, slots, { stickers=1, isBaseCandidate=()=>true }={}){
+    this.cube = cube;
+    this.slots = slots;
+    this.stickers = stickers;
+    this.slotOf = new Int16Array(cube.state.length).fill(-1);
+    slots.forEach((f, k)=>{ this.slotOf[f] = k; });
+    // setup generators: every layer turn that moves a piece of this orbit
+    this.gens = [];
+    for(const axis of AXES) for(let layer=0;layer<cube.N;layer++){
+      const quarter = { face:AXIS_FACE[axis], layer, turns:1 };
+      if(!slots.some(f=>cube.perm(quarter)[f]!==f)) continue;
+      for(const turns of [1,2,-1]){
+        const move = { face:AXIS_FACE[axis], layer, turns, axis };
+        move.rp = this.restrict([move]);
+        this.gens.push(move);
+      }
+    }
+    this.bases = this.findBases(isBaseCandidate);
+    if(!this.bases.length) throw new Error('No commutator found for an orbit of size '+slots.length);
+    // setups as a tree: per node the setup move that reaches it and the node before; searched breadth first
+    this.parents = [-1];
+    this.setupMove = [null];
+    this.setupDepth = [0];
+    this.frontier = [{ node:0, rp:this.identity() }];
+    this.seen = new Set([rpKey(this.frontier[0].rp)]);
+    this.depth = 0;
+    // cycles[(s*n + t)*n + u]: the 3-cycle taking slot s to t, t to u and u to s, as node*bases + base + 1 for
+    // the shallowest setup found that conjugates a base into it; 0 while none is known
+    const n = slots.length;
+    this.cycles = new Int32Array(n*n*n);
+    this.inv = new Int16Array(n);
+    this.index(0, this.frontier[0].rp);
+    this.grow();
+  }
+
+  identity(){
+    const rp = new Int16Array(this.slots.length);
+    for(let k=0;k<rp.length;k++) rp[k] = k;
+    return rp;
+  }
+
+  // where each piece of the orbit goes under a move sequence
+  restrict(moves){
+    const rp = this.identity();
+    for(const m of moves){
+      const p = this.cube.perm(m);
+      for(let k=0;k<rp.length;k++) rp[k] = this.slotOf[p[this.slots[rp[k]]]];
+    }
+    return rp;
+  }
+
+  // commutators [A, X C X'] with A, C slice turns and X an outer turn (see isBaseCandidate)
+  findBases(isBaseCandidate){
+    const N = this.cube.N, bases = [];
+    const quarter = this.gens.filter(g=>g.turns!==2);
+    const inner = quarter.filter(g=>g.layer>0 && g.layer<N-1);
+    const outer = quarter.filter(g=>g.layer===0 || g.layer===N-1);
+    for(const A of inner){
+      for(const X of outer) for(const C of quarter){
+        if(C.axis===X.axis || !isBaseCandidate(A, C)) continue;
+        const B = [X, C, inverse([X])[0]];
+        const seq = [A, ...B, ...inverse([A]), ...inverse(B)];
+        const rp = this.restrict(seq);
+        const movedSlots = [];
+        for(let k=0;k<rp.length;k++) if(rp[k]!==k) movedSlots.push(k);
+        if(movedSlots.length!==3 || !this.cube.displacesAtMost(seq, this.stickers*3)) continue;
+        const a = movedSlots[0];
+        // the inverse commutator cycles the other way round
+        bases.push({ moves:seq.map(strip), cycle:[a, rp[a], rp[rp[a]]] });
+        bases.push({ moves:inverse(seq).map(strip), cycle:[a, rp[rp[a]], rp[a]] });
+      }
+    }
+    return bases;
+  }
+
+  // record the 3-cycles reachable with the setup of node i, which moves the pieces as rp does
+  index(i, rp){
+    const n = rp.length, inv = this.inv, cycles = this.cycles;
+    for(let k=0;k<n;k++) inv[rp[k]] = k;
+    for(let b=0;b<this.bases.length;b++){
+      const [x, y, z] = this.bases[b].cycle, code = i*this.bases.length + b + 1;
+      const s = inv[x], t = inv[y], u = inv[z];
+      if(!cycles[(s*n+t)*n+u]) cycles[(s*n+t)*n+u] = code;
+      if(!cycles[(t*n+u)*n+s]) cycles[(t*n+u)*n+s] = code;
+      if(!cycles[(u*n+s)*n+t]) cycles[(u*n+s)*n+t] = code;
+    }
+  }
+
+  // extend setup sequences by one move (breadth first, skipping setups with a known effect)
+  grow(){
+    if(this.depth>=MAX_SETUP_DEPTH) return false;
+    const next = [];
+    for(const { node, rp:from } of this.frontier){
+      const last = this.setupMove[node];
+      for(const g of this.gens){
+        if(last && last.axis===g.axis && last.layer===g.layer) continue;
+        const rp = new Int16Array(from.length);
+        for(let k=0;k<rp.length;k++) rp[k] = g.rp[from[k]];
+        const key = rpKey(rp);
+        if(this.seen.has(key)) continue;
+        this.seen.add(key);
+        const i = this.parents.length;
+        this.parents.push(node);
+        this.setupMove.push(g);
+        this.setupDepth.push(this.depth+1);
+        this.index(i, rp);
+        next.push({ node:i, rp });
+      }
+    }
+    this.frontier = next;
+    this.depth++;
+    return true;
+  }
+
+  // The known 3-cycle that puts the most pieces in place per move (net of the pieces it takes out of place), as
+  // {s, t, u, moves}: it takes the piece in slot s to t, t to u and u to s. Setups are searched deeper while a
+  // deeper one could do better (a setup move costs two moves, a cycle places at most three pieces). null when
+  // no cycle helps within MAX_SETUP_DEPTH
+  bestCycle(keys, target){
+    const n = this.slots.length, cycles = this.cycles;
+    for(;;){
+      let best = 0, bestRate = 0;
+      for(let t=0;t<n;t++){
+        if(keys[t]===target[t]) continue;
+        for(let s=0;s<n;s++){
+          // the piece in s has to belong in t, or the cycle cannot gain more than it loses
+          if(s===t || keys[s]!==target[t]) continue;
+          const row = (s*n+t)*n;
+          for(let u=0;u<n;u++){
+            const code = cycles[row+u];
+            if(!code) continue;
+            const gain = 1 + (keys[t]===target[u]) + (keys[u]===target[s]) - (keys[s]===target[s]) - (keys[u]===target[u]);
+            if(gain<=0) continue;
+            const rate = gain/this.cost(code);
+            if(rate>bestRate){ best = row+u; bestRate = rate; }
+          }
+        }
+      }
+      if(best && !(bestRate<3/(BASE_LENGTH + 2*(this.depth+1)) && this.grow())){
+        const s = Math.floor(best/(n*n)), t = Math.floor(best/n)%n, u = best%n;
+        return { s, t, u, moves:this.cycleMoves(cycles[best]) };
+      }
+      if(!best && !this.grow()) return null;
+    }
+  }
+
+  cost(code){
+    const b = this.bases.length;
+    return 2*this.setupDepth[Math.floor((code-1)/b)] + this.bases[(code-1)%b].moves.length;
+  }
+
+  cycleMoves(code){
+    const b = this.bases.length, setup = [];
+    for(let i=Math.floor((code-1)/b); this.setupMove[i]; i=this.parents[i]) setup.push(strip(this.setupMove[i]));
+    setup.reverse();
+    return [...setup, ...this.bases[(code-1)%b].moves, ...inverse(setup)];
+  }
+
+  // moves for a 3-cycle taking the piece in slot s to slot t, with the third slot allowed by canUse
+  cycle(s, t, canUse){
+    const n = this.slots.length;
+    for(;;){
+      let hit = -1;
+      for(let u=0;u<n;u++){
+        const code = this.cycles[(s*n+t)*n+u];
+        if(code && u!==s && u!==t && canUse(u) && (hit<0 || this.cost(code)<this.cost(this.cycles[(s*n+t)*n+hit]))) hit = u;
+      }
+      if(hit>=0) return { u:hit, moves:this.cycleMoves(this.cycles[(s*n+t)*n+hit]) };
+      if(!this.grow()) return null;
+    }
+  }
+}
+
+// a Set key for a piece permutation
+function rpKey(rp){ return String.fromCharCode.apply(null, rp); }
+
+function strip(m){ return { face:m.face, layer:m.layer, turns:m.turns }; }
+
+// Solve the orbit so that the piece key at slot k equals target[k] (keys may repeat).
+// keyAt(k) reads the current piece key in slot k.
+// widen(moves), when given, may rewrite a cycle's moves as long as the orbit sees the same cycle.
+function solveOrbit(cube, orbit, keyAt, target, widen=null){
+  const n = orbit.slots.length;
+  const keys = [...Array(n).keys()].map(keyAt);
+  const fixed = new Array(n).fill(false), order = [];
+  const free = u=>!fixed[u];
+  // s -> t -> u -> s
+  const run = (c, s, t)=>{
+    cube.apply(widen ? widen(c.moves) : c.moves);
+    const moved = keys[s]; keys[s] = keys[c.u]; keys[c.u] = keys[t]; keys[t] = moved;
+  };
+  // bring the right piece into slot t touching only unfixed slots
+  const place = t=>{
+    const sources = [];
+    for(let s=0;s<n;s++) if(free(s) && s!==t && keys[s]===target[t]) sources.push(s);
+    // prefer a piece that is not already where it belongs
+    sources.sort((a,b)=>(keys[a]===target[a]) - (keys[b]===target[b]));
+    for(const s of sources){
+      const c = orbit.cycle(s, t, free);
+      if(c){ run(c, s, t); return true; }
+    }
+    // no direct 3-cycle within the setup depth: go through another free slot w
+    for(const s of sources) for(let w=0;w<n;w++){
+      if(!free(w) || w===s || w===t) continue;
+      const first = orbit.cycle(s, w, free), second = first && orbit.cycle(w, t, free);
+      if(second){ run(first, s, w); run(second, w, t); return true; }
+    }
+    return false;
+  };
+  // several pieces per cycle while a known cycle helps, then piece by piece in slot order
+  for(let c; keys.some((key, k)=>key!==target[k]) && (c = orbit.bestCycle(keys, target));) run(c, c.s, c.t);
+  let rescues = 0;
+  for(let t; (t = fixed.indexOf(false))>=0;){
+    let ok = keys[t]===target[t] || place(t);
+    // stuck among the last few slots: borrow a solved slot and solve it again later
+    for(let i=order.length-1; !ok && i>=0 && rescues<n; i--){
+      const v = order[i];
+      fixed[v] = false;
+      if(place(t)){ ok = true; rescues++; order.splice(i, 1); }
+      else fixed[v] = true;
+    }
+    if(!ok) throw new Error('Unsolvable cube: could not place a piece (parity)');
+    fixed[t] = true;
+    order.push(t);
+  }
+}
+
+// ---- geometry helpers ----
+
+function faceOfFacelet(N, f){ return FACE_ORDER[Math.floor(f/(N*N))]; }
+
+// wing slots of orbit k (positions k and N-1-k along every edge), stickers ordered by handedness
+export function wingSlots(cube, k){
+  const N = cube.N, m = N-1, slots = [];
+  for(const axis of AXES){
+    const a = AXES.indexOf(axis), b = (a+1)%3, c = (a+2)%3;
+    for(const vb of [0,m]) for(const vc of [0,m]){
+      for(const t of (k===m-k ? [k] : [k, m-k])){
+        const pos = [0,0,0]; pos[a] = t; pos[b] = vb; pos[c] = vc;
+        const f1 = vb===0 ? NEGATIVE_FACE[AXES[b]] : AXIS_FACE[AXES[b]];
+        const f2 = vc===0 ? NEGATIVE_FACE[AXES[c]] : AXIS_FACE[AXES[c]];
+        const d = [0,0,0]; d[a] = Math.sign(2*t-m);
+        const [n1, n2] = [NORMALS[f1], NORMALS[f2]];
+        const det = n1[0]*(n2[1]*d[2]-n2[2]*d[1]) - n1[1]*(n2[0]*d[2]-n2[2]*d[0]) + n1[2]*(n2[0]*d[1]-n2[1]*d[0]);
+        const [p, q] = det>=0 ? [f1,f2] : [f2,f1];
+        slots.push({
+          edge: f1+f2,
+          p: cube.faceletIndex(p, ...cubieToFacelet(N, p, ...pos)),
+          q: cube.faceletIndex(q, ...cubieToFacelet(N, q, ...pos))
+        });
+      }
+    }
+  }
+  return slots;
+}
+
+function parity(perm){
+  let par = 0;
+  const seen = new Array(perm.length).fill(false);
+  for(let i=0;i<perm.length;i++){
+    if(seen[i]) continue;
+    let len = 0;
+    for(let j=i; !seen[j]; j=perm[j]){ seen[j] = true; len++; }
+    par ^= (len+1)&1;
+  }
+  return par;
+}
+
+// 54-letter 3x3 facelet string read from corners, one edge position and one center per face
+function reducedFacelets(cube){
+  const N = cube.N, mid = N%2 ? (N-1)/2 : 1, idx = [0, mid, N-1];
+  let out = '';
+  for(const f of FACE_ORDER) for(const r of idx) for(const c of idx) out += FACE_ORDER[cube.state[cube.faceletIndex(f, r, c)]];
+  return out;
+}
+
+// corner permutation parity; edges are not paired yet, so they are read as solved
+function cornerParity(cube){
+  const f = reducedFacelets(cube).split('');
+  EDGE_FACELETS.forEach((e,i)=>{ f[e[0]] = EDGE_COLORS[i][0]; f[e[1]] = EDGE_COLORS[i][1]; });
+  return faceletsToCubie(f.join('')).cornerParity();
+}
+
+// ---- stages ----
+
+export function centerOrbits(cube){
+  const N = cube.N, parent = new Map();
+  const find = f=>{ while(parent.get(f)!==f){ parent.set(f, parent.get(parent.get(f))); f = parent.get(f); } return f; };
+  for(const face of FACE_ORDER) for(let r=1;r<N-1;r++) for(let c=1;c<N-1;c++){
+    const f = cube.faceletIndex(face, r, c); parent.set(f, f);
+  }
+  for(const axis of AXES) for(let layer=1;layer<N-1;layer++){
+    const p = cube.perm({ face:AXIS_FACE[axis], layer, turns:1 });
+    for(const f of parent.keys()){ const a = find(f), b = find(p[f]); if(a!==b) parent.set(a, b); }
+  }
+  const groups = new Map();
+  for(const f of parent.keys()){ const r = find(f); if(!groups.has(r)) groups.set(r, []); groups.get(r).push(f); }
+  // the fixed middle centers of odd cubes form orbits of six and are never solved
+  return [...groups.values()].filter(g=>g.length>6).map(g=>g.sort((a,b)=>a-b));
+}
+
+// Rewrite a cycle so that it works on neighbouring orbits as well: every turn of one block of inner layers
+// (a single slice at first) takes in the next layer when that puts more stickers in place (score) and leaves
+// the locked stickers as the plain cycle leaves them. Repeats while it helps. A block turn is one move, so
+// the pieces of the other orbits come for free. Widening a layer in the setup, the commutator and the undoing
+// of the setup alike keeps the moves a conjugated commutator, so no orbit changes parity
+function widenCycle(cube, moves, locked, score){
+  const N = cube.N, plain = cube.preview(moves);
+  const keeps = state=>locked.every(f=>state[f]===plain[f]);
+  let best = moves, bestScore = score(plain);
+  for(;;){
+    let next = null;
+    const blocks = new Set(best.map(m=>{ const [lo, hi] = moveLayers(m); return m.face+lo+'-'+hi; }));
+    for(const block of blocks){
+      const [face, lo, hi] = /^(\w)(\d+)-(\d+)$/.exec(block).slice(1).map((v, i)=>i ? +v : v);
+      if(lo<1 || hi>N-2) continue;
+      for(const [wlo, whi] of [[lo-1, hi], [lo, hi+1]]){
+        if(wlo<1 || whi>N-2) continue;
+        const candidate = best.map(m=>m.face===face && moveLayers(m).join()===lo+','+hi ? { face, layer:wlo, toLayer:whi, turns:m.turns } : m);
+        const state = cube.preview(candidate);
+        if(!keeps(state)) continue;
+        const value = score(state);
+        if(value>bestScore){ next = candidate; bestScore = value; }
+      }
+    }
+    if(!next) return best;
+    best = next;
+  }
+}
+
+function solveCenters(cube){
+  const N = cube.N, orbits = centerOrbits(cube);
+  const centers = orbits.flat(), home = Uint8Array.from(cube.state, (c, f)=>FACE_ORDER.indexOf(faceOfFacelet(N, f)));
+  const score = state=>{ let n = 0; for(const f of centers) if(state[f]===home[f]) n++; return n; };
+  // the middle centers of odd cubes and the orbits already solved must stay as they are
+  const locked = [];
+  if(N%2) for(const face of FACE_ORDER) locked.push(cube.faceletIndex(face, (N-1)/2, (N-1)/2));
+  for(const slots of orbits){
+    const counts = [0,0,0,0,0,0];
+    for(const f of slots) counts[cube.state[f]]++;
+    if(counts.some(c=>c!==slots.length/6)) throw new Error('Unsolvable cube: center stickers do not match');
+    const target = slots.map(f=>home[f]);
+    if(slots.some((f, k)=>cube.state[f]!==target[k])){
+      const orbit = new Orbit(cube, slots);
+      const keep = locked.concat(slots);
+      solveOrbit(cube, orbit, k=>cube.state[slots[k]], target, moves=>widenCycle(cube, moves, keep, score));
+    }
+    locked.push(...slots);
+  }
+}
+
+function wingKey(cube, slot){ return cube.state[slot.p]*6 + cube.state[slot.q]; }
+function homeKey(cube, slot){ return FACE_ORDER.indexOf(faceOfFacelet(cube.N, slot.p))*6 + FACE_ORDER.indexOf(faceOfFacelet(cube.N, slot.q)); }
+
+export function wingOrbitCount(N){ return Math.floor((N-2)/2); }
+
+// turn slice k when wing orbit k is an odd permutation away from solved
+function fixWingParity(cube){
+  for(let k=1;k<=wingOrbitCount(cube.N);k++){
+    const slots = wingSlots(cube, k);
+    const home = new Map(slots.map((s,i)=>[homeKey(cube, s), i]));
+    const perm = slots.map(s=>home.get(wingKey(cube, s)));
+    if(perm.some(h=>h===undefined) || new Set(perm).size!==perm.length) throw new Error('Unsolvable cube: edge stickers do not match');
+    if(parity(perm)) cube.apply([{ face:'R', layer:k, turns:1 }]);
+  }
+}
+
+function pairEdges(cube){
+  const N = cube.N, m = N-1;
+  let targetOf;
+  if(N%2){
+    // odd: every wing follows the midge of its edge
+    const midge = new Map(wingSlots(cube, m/2).map(s=>[s.edge, s]));
+    const midgeColorOn = (edge, face)=>{
+      const s = midge.get(edge);
+      return faceOfFacelet(N, s.p)===face ? cube.state[s.p] : cube.state[s.q];
+    };
+    targetOf = s=>midgeColorOn(s.edge, faceOfFacelet(N, s.p))*6 + midgeColorOn(s.edge, faceOfFacelet(N, s.q));
+  } else {
+    // even: solved edges, with UF and UB exchanged when the corners are an odd permutation
+    const swap = cornerParity(cube);
+    const U = 0, F = FACE_ORDER.indexOf('F'), B = FACE_ORDER.indexOf('B');
+    targetOf = s=>{
+      let [a, b] = [homeKey(cube, s)/6|0, homeKey(cube, s)%6];
+      const edge = new Set([a,b]);
+      if(swap && edge.has(U) && (edge.has(F) || edge.has(B))){
+        if(a===F) a = B; else if(a===B) a = F;
+        if(b===F) b = B; else if(b===B) b = F;
+      }
+      return a*6 + b;
+    };
+  }
+  const orbits = [];
+  for(let k=1;k<=wingOrbitCount(N);k++) orbits.push(wingSlots(cube, k));
+  const wings = orbits.flat(), targets = wings.map(targetOf);
+  const score = state=>{
+    let n = 0;
+    wings.forEach((s, i)=>{ if(state[s.p]*6 + state[s.q]===targets[i]) n++; });
+    return n;
+  };
+  // the centers, the midges of odd cubes and the orbits already paired must stay as they are
+  const locked = [];
+  for(const face of FACE_ORDER) for(let r=1;r<m;r++) for(let c=1;c<m;c++) locked.push(cube.faceletIndex(face, r, c));
+  if(N%2) for(const s of wingSlots(cube, m/2)) locked.push(s.p, s.q);
+  orbits.forEach((slots, i)=>{
+    const k = i+1;
+    // [A, X G X'] with A a slice through this orbit and G an outer turn
+    const orbit = new Orbit(cube, slots.map(s=>s.p), {
+      stickers: 2,
+      isBaseCandidate: (A, C)=>(C.layer===0 || C.layer===m) && (A.layer===k || A.layer===m-k)
+    });
+    const keep = locked.concat(slots.flatMap(s=>[s.p, s.q]));
+    solveOrbit(cube, orbit, j=>wingKey(cube, slots[j]), slots.map(targetOf), moves=>widenCycle(cube, moves, keep, score));
+    for(const s of slots) locked.push(s.p, s.q);
+  });
+}
+
+// Turns of one axis commute, so every run of them is summed up per layer and written again as few block
+// turns as it takes (R r' cancels to a single inner slice, r R' to nothing); each block is named after its
+// nearer face
+function tidy(moves, N){
+  const out = [];
+  for(let i=0;i<moves.length;){
+    const axis = faceToAxis(moves[i].face), blocks = new Map(), layers = new Array(N).fill(0);
+    for(; i<moves.length && faceToAxis(moves[i].face)===axis; i++){
+      const m = moves[i], [lo, hi] = moveLayers(m), turns = faceSign(m.face)>0 ? m.turns : -m.turns;
+      blocks.set(lo+'-'+hi, (blocks.get(lo+'-'+hi) || 0) + turns);
+      for(let l=lo;l<=hi;l++) layers[l] += turns;
+    }
+    // the blocks as they were turned, or runs of layers that end up turned alike, whichever is fewer
+    const asTurned = [...blocks].map(([key, turns])=>[...key.split('-').map(Number), normalizeTurns(turns)]).filter(b=>b[2]);
+    const alike = [];
+    for(let l=0;l<N;l++){
+      const turns = normalizeTurns(layers[l]), last = alike[alike.length-1];
+      if(!turns) continue;
+      if(last && last[1]===l-1 && last[2]===turns) last[1] = l;
+      else alike.push([l, l, turns]);
+    }
+    for(const [lo, hi, turns] of asTurned.length<alike.length ? asTurned : alike) out.push(blockMove(axis, lo, hi, turns, N));
+  }
+  return out;
+}
+
+function blockMove(axis, lo, hi, turns, N){
+  const move = lo+hi < N-1
+    ? { face:NEGATIVE_FACE[axis], layer:lo, toLayer:hi, turns:normalizeTurns(-turns) }
+    : { face:AXIS_FACE[axis], layer:hi, toLayer:lo, turns };
+  if(lo===hi) delete move.toLayer;
+  return move;
+}
+
+// Solve an NxNxN (N >= 4) facelet array of face indices. Returns {face, layer, toLayer?, turns} moves.
+export function solveReduction(state, N){
+  const cube = new BigCube(N, state);
+  fixWingParity(cube);
+  solveCenters(cube);
+  pairEdges(cube);
+  const outer = face=>faceSign(face)>0 ? N-1 : 0;
+  const threeByThree = solveFacelets(reducedFacelets(cube)).map(m=>({ face:m.face, layer:outer(m.face), turns:m.turns }));
+  return tidy(cube.moves.concat(threeByThree), N);
+}
@@ -0,0 +1,154 @@
+// ==========================
+// Two-phase solver for 3x3 (Kociemba)
+// Phase 1 brings the cube into <U,D,R2,L2,F2,B2> (no twist, no flip, slice edges in the slice),
+// phase 2 solves it with those moves. Tables are built once, on first use (a second or two).
+// ==========================
+
+import { FACE_ORDER } from '../cube-model.js';
+import { CubieCube, MOVE_CUBES, faceletsToCubie } from './cubie.js';
+
+const N_TWIST = 2187, N_FLIP = 2048, N_SLICE = 495, N_PERM8 = 40320, N_SLICE_PERM = 24;
+const N_MOVES = 18; // face*3 + (quarter turns - 1), faces in FACE_ORDER
+
+// phase 2 moves: U*, D*, R2, F2, L2, B2
+const PHASE2_MOVES = [0,1,2, 4, 7, 9,10,11, 13, 16];
+
+let tables = null;
+
+// move table for one coordinate: table[c*18 + m] = coordinate after move m
+function buildMoveTable(size, set, get, multiply){
+  const table = new Uint16Array(size*N_MOVES);
+  const cube = new CubieCube();
+  for(let c=0;c<size;c++){
+    set(cube, c);
+    for(let f=0;f<6;f++){
+      const cur = cube.clone();
+      for(let p=0;p<3;p++){
+        multiply(cur, MOVE_CUBES[f]);
+        table[c*N_MOVES + f*3 + p] = get(cur);
+      }
+    }
+  }
+  return table;
+}
+
+// breadth-first distance table over a pair of coordinates (a*sizeB + b)
+function buildPruning(sizeA, sizeB, moveA, moveB, moves, startA, startB){
+  const total = sizeA*sizeB;
+  const prun = new Int8Array(total).fill(-1);
+  prun[startA*sizeB + startB] = 0;
+  let filled = 1, depth = 0;
+  while(filled<total){
+    let changed = 0;
+    for(let i=0;i<total;i++){
+      if(prun[i]!==depth) continue;
+      const a = Math.floor(i/sizeB), b = i%sizeB;
+      for(const m of moves){
+        const j = moveA[a*N_MOVES+m]*sizeB + moveB[b*N_MOVES+m];
+        if(prun[j]<0){ prun[j] = depth+1; filled++; changed++; }
+      }
+    }
+    if(!changed) break;
+    depth++;
+  }
+  return prun;
+}
+
+function initTables(){
+  if(tables) return tables;
+  const corners = (c,m)=>c.cornerMultiply(m), edges = (c,m)=>c.edgeMultiply(m);
+  const twistMove = buildMoveTable(N_TWIST, (c,v)=>{ c.twist = v; }, c=>c.twist, corners);
+  const flipMove = buildMoveTable(N_FLIP, (c,v)=>{ c.flip = v; }, c=>c.flip, edges);
+  const sliceMove = buildMoveTable(N_SLICE, (c,v)=>{ c.slice = v; }, c=>c.slice, edges);
+  const cornerPermMove = buildMoveTable(N_PERM8, (c,v)=>{ c.cornerPerm = v; }, c=>c.cornerPerm, corners);
+  const udEdgeMove = buildMoveTable(N_PERM8, (c,v)=>{ c.ep = [...Array(12).keys()]; c.udEdgePerm = v; }, c=>c.inPhase2 ? c.udEdgePerm : 0, edges);
+  const slicePermMove = buildMoveTable(N_SLICE_PERM, (c,v)=>{ c.ep = [...Array(12).keys()]; c.slicePerm = v; }, c=>c.inPhase2 ? c.slicePerm : 0, edges);
+
+  const all = [...Array(N_MOVES).keys()];
+  const solved = new CubieCube();
+  tables = {
+    twistMove, flipMove, sliceMove, cornerPermMove, udEdgeMove, slicePermMove,
+    sliceTwistPrun: buildPruning(N_SLICE, N_TWIST, sliceMove, twistMove, all, solved.slice, solved.twist),
+    sliceFlipPrun: buildPruning(N_SLICE, N_FLIP, sliceMove, flipMove, all, solved.slice, solved.flip),
+    sliceCornerPrun: buildPruning(N_SLICE_PERM, N_PERM8, slicePermMove, cornerPermMove, PHASE2_MOVES, 0, 0),
+    sliceEdgePrun: buildPruning(N_SLICE_PERM, N_PERM8, slicePermMove, udEdgeMove, PHASE2_MOVES, 0, 0)
+  };
+  return tables;
+}
+
+// true if move m may follow a move on lastFace (no same face twice, opposite faces in one order only)
+function allowedAfter(m, lastFace){
+  const f = (m/3)|0;
+  if(lastFace<0) return true;
+  return f!==lastFace && !(f%3===lastFace%3 && f<lastFace);
+}
+
+// Solve a 3x3 given as a 54-letter facelet string (centers U R F D L B).
+// Returns a list of {face, turns}. Throws if the state is not solvable.
+// maxLength: accept the first solution this short; after `timeout` ms any solution is accepted.
+export function solveFacelets(facelets, { maxLength=22, timeout=3000 }={}){
+  const cube = faceletsToCubie(facelets);
+  const problem = cube.verify();
+  if(problem) throw new Error('Unsolvable cube: '+problem);
+  const t = initTables();
+  const start = Date.now();
+  let limit = maxLength;
+  const path1 = [], path2 = [];
+  let solution = null;
+
+  function phase2(cp, ud, sp, togo, lastFace){
+    if(togo===0) return cp===0 && ud===0 && sp===0;
+    for(const m of PHASE2_MOVES){
+      if(!allowedAfter(m, lastFace)) continue;
+      const ncp = t.cornerPermMove[cp*N_MOVES+m], nud = t.udEdgeMove[ud*N_MOVES+m], nsp = t.slicePermMove[sp*N_MOVES+m];
+      const h = Math.max(t.sliceCornerPrun[nsp*N_PERM8+ncp], t.sliceEdgePrun[nsp*N_PERM8+nud]);
+      if(h>togo-1) continue;
+      path2.push(m);
+      if(phase2(ncp, nud, nsp, togo-1, (m/3)|0)) return true;
+      path2.pop();
+    }
+    return false;
+  }
+
+  // at the end of phase 1: replay it on the cubie cube and look for a short phase 2
+  function tryPhase2(){
+    const c = cube.clone();
+    for(const m of path1) for(let p=0;p<=m%3;p++) c.multiply(MOVE_CUBES[(m/3)|0]);
+    const cp = c.cornerPerm, ud = c.udEdgePerm, sp = c.slicePerm;
+    const lastFace = path1.length ? (path1[path1.length-1]/3)|0 : -1;
+    const maxDepth = Math.min(18, limit - path1.length);
+    for(let d=0; d<=maxDepth; d++){
+      path2.length = 0;
+      if(phase2(cp, ud, sp, d, lastFace)){ solution = path1.concat(path2); return true; }
+    }
+    return false;
+  }
+
+  function phase1(twist, flip, slice, togo, lastFace){
+    if(togo===0){
+      if(twist!==0 || flip!==0 || slice!==0) return false;
+      // a phase-2 move at the end means a shorter phase 1 was already tried
+      const last = path1[path1.length-1];
+      if(path1.length && PHASE2_MOVES.includes(last)) return false;
+      if(Date.now()-start > timeout) limit = 30;
+      return tryPhase2();
+    }
+    for(let m=0;m<N_MOVES;m++){
+      if(!allowedAfter(m, lastFace)) continue;
+      const nt = t.twistMove[twist*N_MOVES+m], nf = t.flipMove[flip*N_MOVES+m], ns = t.sliceMove[slice*N_MOVES+m];
+      const h = Math.max(t.sliceTwistPrun[ns*N_TWIST+nt], t.sliceFlipPrun[ns*N_FLIP+nf]);
+      if(h>togo-1) continue;
+      path1.push(m);
+      if(phase1(nt, nf, ns, togo-1, (m/3)|0)) return true;
+      path1.pop();
+    }
+    return false;
+  }
+
+  for(let depth=0; depth<=20 && !solution; depth++) phase1(cube.twist, cube.flip, cube.slice, depth, -1);
+  if(!solution) throw new Error('No solution found');
+  return solution.map(m=>({ face:FACE_ORDER[(m/3)|0], turns:[1,2,-1][m%3] }));
+}
+
+// Build the tables now instead of on the first solve
+export function prepareTwoPhase(){ initTables(); }
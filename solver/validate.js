@@ -0,0 +1,151 @@
+// ==========================
+// Is a sticker pattern a position a real cube can reach? Lists what is wrong when it is not.
+// Any N, facelet strings in the CubeModel.toFaceletString() order. Checks:
+//   sticker counts; middle centers (odd N); corners: real pieces, each once, total twist;
+//   midges (odd N): real pieces, each once, total flip, permutation parity with the corners;
+//   wings (N >= 4): real pieces the right way round, each once; centers (N >= 4): colors per orbit.
+// ==========================
+
+import { FACE_ORDER } from '../cube-model.js';
+import { CORNER_FACELETS, CORNER_COLORS, EDGE_FACELETS, EDGE_COLORS, permParity } from './cubie.js';
+import { BigCube, wingSlots, centerOrbits, wingOrbitCount } from './reduction.js';
+
+const OPPOSITE = { U:'D', D:'U', R:'L', L:'R', F:'B', B:'F' };
+const NORMALS = { U:[0,1,0], D:[0,-1,0], R:[1,0,0], L:[-1,0,0], F:[0,0,1], B:[0,0,-1] };
+
+// index into an NxN facelet string of facelet i of the 3x3 view (rows/cols 0, middle, N-1)
+function scaled(N, i){
+  const face = Math.floor(i/9), r = Math.floor(i%9/3), c = i%3, idx = [0, (N-1)/2, N-1];
+  return face*N*N + idx[r]*N + idx[c];
+}
+
+function det(a, b, c){
+  return a[0]*(b[1]*c[2]-b[2]*c[1]) - a[1]*(b[0]*c[2]-b[2]*c[0]) + a[2]*(b[0]*c[1]-b[1]*c[0]);
+}
+
+// The color scheme, the color each face shows when solved: on odd cubes the middle centers, on even cubes the
+// corner at DBL (with the opposite colors on U, R and F). Returns {scheme, problem}, with problem saying why
+// no real cube has this scheme, or null. Everything in validateFacelets is read relative to it, and the
+// solver solves towards it.
+export function colorScheme(facelets, N, names={}){
+  const name = c=>names[c] || c;
+  const at = (face, row, col)=>facelets[FACE_ORDER.indexOf(face)*N*N + row*N + col];
+  const scheme = {};
+  const result = problem=>({ scheme, problem });
+  if(N%2){
+    const mid = (N-1)/2;
+    for(const face of FACE_ORDER) scheme[face] = at(face, mid, mid);
+    if(new Set(Object.values(scheme)).size!==6) return result('The middle centers must show six different colors.');
+    for(const face of FACE_ORDER){
+      if(scheme[OPPOSITE[face]]!==OPPOSITE[scheme[face]]) return result('The middle centers of '+face+' and '+OPPOSITE[face]+' must show opposite colors ('+name(scheme[face])+' is opposite '+name(OPPOSITE[scheme[face]])+').');
+    }
+    // a 1x1 can be turned to show any colors in any order
+    if(N>1 && det(NORMALS[scheme.U], NORMALS[scheme.R], NORMALS[scheme.F])!==det(NORMALS.U, NORMALS.R, NORMALS.F)) return result('The middle centers are a mirror image of a real cube: swap two opposite pairs of colors.');
+  } else {
+    scheme.D = at('D', N-1, 0); scheme.L = at('L', N-1, 0); scheme.B = at('B', N-1, N-1);
+    const corner = ['D','L','B'].map(face=>scheme[face]);
+    if(new Set(corner.concat(corner.map(c=>OPPOSITE[c]))).size!==6 || det(...corner.map(c=>NORMALS[c]))!==det(NORMALS.D, NORMALS.L, NORMALS.B)){
+      return result('The corner at DBL shows '+corner.map(name).join('-')+', but no corner has these colors in this order.');
+    }
+    for(const face of ['D','L','B']) scheme[OPPOSITE[face]] = OPPOSITE[scheme[face]];
+  }
+  return result(null);
+}
+
+// Returns a list of human readable problems, empty when the position is reachable.
+// names maps color letters to display names (e.g. {U:'white'}).
+export function validateFacelets(facelets, N, names={}){
+  const name = c=>names[c] || c;
+  if(facelets.length!==6*N*N) return ['The cube needs '+6*N*N+' stickers, got '+facelets.length+'.'];
+  const counts = {};
+  for(const c of facelets) counts[c] = (counts[c]||0) + 1;
+  const unknown = Object.keys(counts).filter(c=>!FACE_ORDER.includes(c));
+  if(unknown.length) return ['Unknown sticker colors: '+unknown.join(', ')+'.'];
+  const off = FACE_ORDER.filter(c=>(counts[c]||0)!==N*N);
+  if(off.length) return ['Every color needs exactly '+N*N+' stickers, but there are '+off.map(c=>(counts[c]||0)+' '+name(c)).join(', ')+'.'];
+
+  const { scheme, problem } = colorScheme(facelets, N, names);
+  if(problem) return [problem];
+  if(N===1) return [];
+  const faceOf = {};
+  for(const face of FACE_ORDER) faceOf[scheme[face]] = face;
+  const f = facelets.split('').map(c=>faceOf[c]).join('');
+
+  const problems = [];
+  const colorList = letters=>letters.map(name).join('-');
+
+  // corners
+  const cp = [], co = [];
+  CORNER_FACELETS.forEach((slot, i)=>{
+    const colors = slot.map(k=>f[scaled(N, k)]);
+    for(let ori=0; ori<3; ori++){
+      const turned = [0,1,2].map(t=>colors[(ori+t)%3]).join('');
+      const j = CORNER_COLORS.findIndex(cc=>cc.join('')===turned);
+      if(j>=0){ cp[i] = j; co[i] = ori; return; }
+    }
+    const sorted = colors.slice().sort().join('');
+    const mirror = CORNER_COLORS.some(cc=>cc.slice().sort().join('')===sorted);
+    problems.push('The corner at '+CORNER_COLORS[i].join('')+' shows '+colorList(colors)+(mirror ? ' in mirror order (two of its stickers are swapped).' : ', but no corner has these colors.'));
+  });
+  const cornersOk = cp.length===8 && cp.every(j=>j!==undefined);
+  if(cornersOk){
+    CORNER_COLORS.forEach((cc, j)=>{
+      const at = cp.map((p, i)=>p===j ? CORNER_COLORS[i].join('') : null).filter(Boolean);
+      if(at.length>1) problems.push('The '+colorList(cc)+' corner appears '+at.length+' times (at '+at.join(', ')+').');
+    });
+    if(co.reduce((a,b)=>a+b, 0)%3) problems.push('A corner is twisted: the corner twists do not add up, as if one corner had been turned in place.');
+  }
+
+  // midges of odd cubes (the edges of a 3x3)
+  if(N%2 && N>=3){
+    const ep = [], eo = [];
+    EDGE_FACELETS.forEach((slot, i)=>{
+      const [a, b] = slot.map(k=>f[scaled(N, k)]);
+      let j = EDGE_COLORS.findIndex(ec=>ec[0]===a && ec[1]===b);
+      if(j>=0){ ep[i] = j; eo[i] = 0; return; }
+      j = EDGE_COLORS.findIndex(ec=>ec[0]===b && ec[1]===a);
+      if(j>=0){ ep[i] = j; eo[i] = 1; return; }
+      problems.push('The '+(N>3 ? 'middle edge' : 'edge')+' at '+EDGE_COLORS[i].join('')+' shows '+colorList([a, b])+', but no edge has these colors.');
+    });
+    const edgesOk = ep.length===12 && ep.every(j=>j!==undefined);
+    if(edgesOk){
+      EDGE_COLORS.forEach((ec, j)=>{
+        const at = ep.map((p, i)=>p===j ? EDGE_COLORS[i].join('') : null).filter(Boolean);
+        if(at.length>1) problems.push('The '+colorList(ec)+' edge appears '+at.length+' times (at '+at.join(', ')+').');
+      });
+      if(eo.reduce((a,b)=>a+b, 0)%2) problems.push('An edge is flipped: the edge orientations do not add up, as if one edge had been flipped in place.');
+      if(new Set(ep).size===12 && cornersOk && new Set(cp).size===8 && permParity(cp)!==permParity(ep)) problems.push('Two pieces are swapped: the corner and edge permutations have different parity, as if two edges (or two corners) had been exchanged.');
+    }
+  }
+
+  if(N>=4){
+    const cube = new BigCube(N, f.split('').map(c=>FACE_ORDER.indexOf(c)));
+    const faceAt = i=>FACE_ORDER[Math.floor(i/(N*N))];
+    // wings: each edge piece of an orbit exactly once. The two pieces of an orbit on one edge are mirror
+    // images (read in handedness order they show a-b and b-a), so a piece flipped in place shows up twice.
+    for(let k=1;k<=wingOrbitCount(N);k++){
+      const slots = wingSlots(cube, k);
+      const home = new Set(slots.map(s=>faceAt(s.p)+faceAt(s.q)));
+      const seen = new Map();
+      for(const s of slots){
+        const key = f[s.p]+f[s.q];
+        if(home.has(key)) seen.set(key, (seen.get(key)||0)+1);
+        else problems.push('An edge piece on the '+s.edge+' edge shows '+colorList([f[s.p], f[s.q]])+', but no edge has these colors.');
+      }
+      for(const [key, n] of seen){
+        if(n>1) problems.push('Two '+colorList(key.split('').sort())+' edge pieces are the same mirror image: one of them is flipped, and single edge pieces of a '+N+'x'+N+' cannot be flipped in place.');
+      }
+    }
+    // centers: every orbit holds the same number of stickers of each color
+    for(const orbit of centerOrbits(cube)){
+      const inOrbit = {};
+      for(const i of orbit) inOrbit[f[i]] = (inOrbit[f[i]]||0) + 1;
+      const need = orbit.length/6;
+      const wrong = FACE_ORDER.filter(c=>(inOrbit[c]||0)!==need);
+      if(!wrong.length) continue;
+      const first = orbit[0] % (N*N);
+      problems.push('Center pieces cannot leave their ring: the centers like the one at row '+(Math.floor(first/N)+1)+', column '+(first%N+1)+' need '+need+' of each color, but have '+wrong.map(c=>(inOrbit[c]||0)+' '+name(c)).join(', ')+'.');
+    }
+  }
+  return problems;
+}
@@ -0,0 +1,14 @@
+// ==========================
+// Solver worker: runs solveModel off the page's thread, so the cube keeps turning and painting during a long
+// search. The lookup tables are built on the first request and kept for the next ones.
+// Receives {id, size, facelets, history} (facelets as in CubeModel.toFaceletString) and answers
+// {id, moves} or {id, error} with the message solveModel threw.
+// ==========================
+
+import { CubeModel } from '../cube-model.js';
+import { solveModel } from './index.js';
+
+self.onmessage = ({ data:{ id, size, facelets, history } })=>{
+  try{ self.postMessage({ id, moves:solveModel(CubeModel.fromFaceletString(facelets, size), history) }); }
+  catch(e){ self.postMessage({ id, error:e.message }); }
+};
@@ -0,0 +1,104 @@
+// ==========================
+// CubeModel: moves, solved checks, serialization and cuboids
+// Run the whole suite with `node --test test/` (Node 20+, no packages)
+// ==========================
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { CubeModel, FACE_ORDER, parseSize, sizeLabel, normalizeSize } from '../cube-model.js';
+import { parseAlgorithm, invertMoves } from '../notation.js';
+
+const moves = (text, N)=>parseAlgorithm(text, N);
+
+test('a new model is solved, face by face', ()=>{
+  for(const N of [1, 2, 3, 5]){
+    const cube = new CubeModel(N);
+    assert.ok(cube.isSolved());
+    assert.equal(cube.toFaceletString(), FACE_ORDER.map(f=>f.repeat(N*N)).join(''));
+  }
+});
+
+test('four quarter turns of any layer are the identity', ()=>{
+  for(const N of [2, 3, 4, 5]) for(const face of FACE_ORDER) for(let layer=0;layer<N;layer++){
+    const cube = new CubeModel(N);
+    for(let i=0;i<4;i++) cube.applyMove({ face, layer, turns:1 });
+    assert.ok(cube.isSolved({ oriented:true }), face+layer+' on '+N);
+  }
+});
+
+test('an algorithm followed by its inverse leaves the cube solved', ()=>{
+  for(const [N, alg] of [[3, "R U R' U' F2 D' L B"], [4, "Rw U2 3Fw' 2-3r x M"], [5, "3Rw2 U' Lw F2 S E' y2"]]){
+    const list = moves(alg, N);
+    const cube = new CubeModel(N).applyMoves(list);
+    assert.ok(!cube.isSolved());
+    cube.applyMoves(invertMoves(list));
+    assert.ok(cube.isSolved({ oriented:true }));
+  }
+});
+
+test('sune has order 6 and the T-perm order 2', ()=>{
+  const sune = new CubeModel(3);
+  for(let i=0;i<6;i++) sune.applyMoves(moves("R U R' U R U2 R'", 3));
+  assert.ok(sune.isSolved());
+  const tperm = moves("R U R' U' R' F R2 U' R' U' R U R' F'", 3);
+  const cube = new CubeModel(3).applyMoves(tperm);
+  assert.ok(!cube.isSolved());
+  assert.ok(cube.applyMoves(tperm).isSolved());
+});
+
+test('a U turn moves the F stickers of the top row to L', ()=>{
+  const cube = new CubeModel(3).applyMove({ face:'U', layer:2, turns:1 });
+  assert.deepEqual(cube.getFace('L')[0], ['F', 'F', 'F']);
+  assert.deepEqual(cube.getFace('L')[1], ['L', 'L', 'L']);
+});
+
+test('facelet strings and JSON round-trip', ()=>{
+  const cube = new CubeModel(4).applyMoves(moves("Rw U' 3Fw2 D B'", 4));
+  assert.ok(CubeModel.fromFaceletString(cube.toFaceletString()).equals(cube));
+  assert.ok(CubeModel.fromJSON(JSON.parse(JSON.stringify(cube.toJSON()))).equals(cube));
+  assert.ok(cube.clone().equals(cube));
+});
+
+test('a turned center leaves a supercube unsolved', ()=>{
+  const cube = new CubeModel(3).applyMove({ face:'U', layer:2, turns:1 });
+  assert.equal(cube.spins[4], 1); // the U center has made a clockwise quarter turn
+  for(let i=0;i<3;i++) cube.applyMove({ face:'U', layer:2, turns:1 });
+  assert.ok(cube.isSolved({ oriented:true }));
+  const json = new CubeModel(3).toJSON({ oriented:true });
+  json.orientation.spins[4] = 2;
+  const turned = CubeModel.fromJSON(json);
+  assert.ok(turned.isSolved());
+  assert.ok(!turned.isSolved({ oriented:true }));
+});
+
+test('cuboid sizes: parsing, labels and half turns only on layers that are not square', ()=>{
+  assert.deepEqual(parseSize('2x2x3'), [2, 3, 2]);
+  assert.equal(parseSize('4'), 4);
+  assert.equal(parseSize('3x3x3'), 3);
+  assert.throws(()=>parseSize('2x3'));
+  assert.throws(()=>parseSize('21'));
+  assert.equal(sizeLabel([2, 3, 2]), '2x2x3');
+  assert.equal(normalizeSize([3, 3, 3]), 3);
+  const cube = new CubeModel([2, 3, 2]);
+  assert.equal(cube.toFaceletString().length, 2*(4+6+6));
+  cube.applyMoves(moves("U R2 D' F2", [2, 3, 2]));
+  assert.ok(!cube.isSolved());
+  assert.throws(()=>cube.applyMove({ face:'R', layer:1, turns:1 }));
+  cube.applyMoves(invertMoves(moves("U R2 D' F2", [2, 3, 2])));
+  assert.ok(cube.isSolved());
+});
+
+test('moves outside the cube are rejected', ()=>{
+  assert.throws(()=>new CubeModel(3).applyMove({ face:'R', layer:3, turns:1 }));
+});
+
+test('subscribers hear about every move with the facelets it touched', ()=>{
+  const cube = new CubeModel(3), seen = [];
+  const unsubscribe = cube.subscribe(e=>seen.push(e));
+  cube.applyMove({ face:'R', layer:2, turns:1 });
+  unsubscribe();
+  cube.applyMove({ face:'R', layer:2, turns:1 });
+  assert.equal(seen.length, 1);
+  assert.equal(seen[0].type, 'move');
+  assert.equal(seen[0].changed.length, 21);
+});
@@ -0,0 +1,46 @@
+// ==========================
+// State interchange: every format reads back what it wrote, and bad input is refused with a reason
+// ==========================
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { CubeModel } from '../cube-model.js';
+import { parseAlgorithm } from '../notation.js';
+import { STATE_FORMATS, writeState, readState } from '../formats.js';
+
+test('every format round-trips a scrambled cube', ()=>{
+  for(const N of [2, 3, 4]){
+    const history = parseAlgorithm("R U' F2 L D' B", N);
+    const model = new CubeModel(N).applyMoves(history);
+    for(const format of STATE_FORMATS){
+      const read = readState(writeState(model, history, format), N);
+      assert.equal(read.format, format);
+      assert.ok(read.model.equals(model), format+' on '+N);
+      if(format!=='facelets') assert.deepEqual(read.history, history, format+' on '+N);
+    }
+  }
+});
+
+test('cuboids round-trip through JSON and links', ()=>{
+  const history = parseAlgorithm('R2 U D2 F2', [2, 3, 2]);
+  const model = new CubeModel([2, 3, 2]).applyMoves(history);
+  for(const format of ['json', 'hash']) assert.ok(readState(writeState(model, history, format), 3).model.equals(model), format);
+});
+
+test('unreachable and malformed states are refused', ()=>{
+  const twisted = new CubeModel(3).toFaceletString().split('');
+  [twisted[8], twisted[9], twisted[20]] = [twisted[9], twisted[20], twisted[8]];
+  assert.throws(()=>readState(twisted.join(''), 3), /Not a reachable position/);
+  assert.throws(()=>readState('', 3), /Nothing to import/);
+  assert.throws(()=>readState('{"N":3', 3), /Invalid JSON/);
+  assert.throws(()=>readState('R Q', 3), /not valid moves/);
+});
+
+test('sizes over the limit are refused before a model is built', ()=>{
+  assert.throws(()=>readState('#n=1000000', 3), /too large/);
+  assert.throws(()=>readState('{"N":100000,"cubeState":[]}', 3), /too large/);
+  assert.throws(()=>readState('{"dims":[2,2,100000],"cubeState":[]}', 3), /too large/);
+  assert.throws(()=>readState('#n=25', 3, { maxN:20 }), /too large/);
+  assert.throws(()=>readState('U'.repeat(6*21*21), 3), /Size 21x21x21 is too large/);
+  assert.equal(readState('U'.repeat(9)+'R'.repeat(9)+'F'.repeat(9)+'D'.repeat(9)+'L'.repeat(9)+'B'.repeat(9), 3, { maxN:3 }).format, 'facelets');
+});
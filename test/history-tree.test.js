@@ -0,0 +1,78 @@
+// ==========================
+// MoveTree: coalescing user moves, branches, undo / redo and routes between nodes
+// ==========================
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { MoveTree } from '../history-tree.js';
+
+const R = { face:'R', layer:2, turns:1 }, Ri = { face:'R', layer:2, turns:-1 }, U = { face:'U', layer:2, turns:1 };
+
+test('user moves of the same layers coalesce and cancel out', ()=>{
+  const tree = new MoveTree();
+  tree.push(R, { coalesce:true });
+  tree.push(R, { coalesce:true });
+  assert.deepEqual(tree.moves, [{ ...R, turns:2 }]);
+  tree.push(R, { coalesce:true });
+  tree.push(R, { coalesce:true });
+  assert.equal(tree.length, 0);
+  assert.equal(tree.root.children.length, 0);
+  tree.push(R);
+  tree.push(R);
+  assert.equal(tree.length, 2, 'moves without coalesce stay apart');
+});
+
+test('undoing and turning something else keeps the old line as a branch', ()=>{
+  const tree = new MoveTree([R, U]);
+  tree.undo();
+  tree.push(Ri);
+  assert.deepEqual(tree.moves, [R, Ri]);
+  assert.equal(tree.current.parent.children.length, 2);
+  tree.undo();
+  tree.redo();
+  assert.deepEqual(tree.moves, [R, Ri], 'redo follows the branch visited last');
+  tree.push(U);
+  tree.undo();
+  tree.undo();
+  tree.push(U);
+  assert.equal(tree.current.parent.children.length, 2, 'making a move again follows its branch');
+});
+
+test('a coalesced move that a sibling already has follows that sibling', ()=>{
+  const tree = new MoveTree();
+  tree.push({ ...R, turns:2 });
+  tree.undo();
+  tree.push(R, { coalesce:true });
+  tree.push(R, { coalesce:true });
+  assert.equal(tree.root.children.length, 1);
+  assert.equal(tree.current, tree.root.children[0]);
+  assert.equal(tree.root.last, tree.current);
+});
+
+test('route goes up to the common ancestor with inverse moves, then down', ()=>{
+  const tree = new MoveTree([R, U]);
+  const end = tree.current;
+  tree.undo();
+  tree.undo();
+  tree.push(U);
+  assert.deepEqual(tree.route(end).map(s=>s.move), [{ ...U, turns:-1 }, R, U]);
+  assert.equal(tree.route(end).at(-1).node, end);
+  assert.throws(()=>tree.step(end));
+});
+
+test('moves reached by redo or a step are never merged into', ()=>{
+  const tree = new MoveTree();
+  tree.push(R, { coalesce:true });
+  tree.undo();
+  tree.redo();
+  tree.push(R, { coalesce:true });
+  assert.deepEqual(tree.moves, [R, R], 'the recorded R stays an R');
+  tree.undo();
+  tree.undo();
+  tree.step(tree.root.children[0]);
+  tree.push(Ri, { coalesce:true });
+  assert.deepEqual(tree.moves, [R, Ri]);
+  assert.equal(tree.root.children[0].children.length, 2, 'the explored line is kept');
+  tree.push(Ri, { coalesce:true });
+  assert.deepEqual(tree.moves, [R, { ...R, turns:2 }], 'a move still merges with the push before it');
+});
@@ -0,0 +1,59 @@
+// ==========================
+// Notation: parsing WCA / SiGN text into moves and formatting moves back
+// ==========================
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseAlgorithm, formatMove, formatMoves, invertMoves } from '../notation.js';
+import { CubeModel } from '../cube-model.js';
+
+test('face turns read as the outer layer of their face', ()=>{
+  assert.deepEqual(parseAlgorithm("R U' F2", 3), [
+    { face:'R', layer:2, turns:1 },
+    { face:'U', layer:2, turns:-1 },
+    { face:'F', layer:2, turns:2 }
+  ]);
+  assert.deepEqual(parseAlgorithm('L', 3), [{ face:'L', layer:0, turns:1 }]);
+});
+
+test('wide moves, inner layers, ranges, slices and rotations span their layers', ()=>{
+  assert.deepEqual(parseAlgorithm('Rw', 4), [{ face:'R', layer:3, toLayer:2, turns:1 }]);
+  assert.deepEqual(parseAlgorithm('r', 4), parseAlgorithm('Rw', 4));
+  assert.deepEqual(parseAlgorithm('3Rw', 5), [{ face:'R', layer:4, toLayer:2, turns:1 }]);
+  assert.deepEqual(parseAlgorithm('2R', 4), [{ face:'R', layer:2, turns:1 }]);
+  assert.deepEqual(parseAlgorithm('2-3r', 5), [{ face:'R', layer:3, toLayer:2, turns:1 }]);
+  assert.deepEqual(parseAlgorithm('M', 3), [{ face:'L', layer:1, turns:1 }]);
+  assert.deepEqual(parseAlgorithm('x', 3), [{ face:'R', layer:2, toLayer:0, turns:1 }]);
+});
+
+test('groups repeat and invert', ()=>{
+  assert.deepEqual(parseAlgorithm("(R U)2", 3), parseAlgorithm('R U R U', 3));
+  assert.deepEqual(parseAlgorithm("(R U)'", 3), parseAlgorithm("U' R'", 3));
+  assert.deepEqual(parseAlgorithm("R // comment\nU", 3), parseAlgorithm('R U', 3));
+});
+
+// the formatted text may name a block from the other side (2-3Rw on a 4x4 is M'), so states are compared
+test('formatted moves read back as the same moves', ()=>{
+  for(const [N, text] of [[3, "R U' F2 D L' B M E' S2 x y' z2"], [4, "Rw U2 3Rw' 2R 2-3Rw"], [5, "3Fw2 2-3Uw' 2D B'"], [2, "R U' F2"]]){
+    const moves = parseAlgorithm(text, N);
+    const again = parseAlgorithm(formatMoves(moves, N), N);
+    assert.equal(again.length, moves.length, text);
+    assert.ok(new CubeModel(N).applyMoves(again).equals(new CubeModel(N).applyMoves(moves)), text);
+  }
+  assert.equal(formatMove({ face:'R', layer:2, turns:-1 }, 3), "R'");
+});
+
+test('inverting reverses the list and the turns', ()=>{
+  assert.equal(formatMoves(invertMoves(parseAlgorithm("R U2 F'", 3)), 3), "F U2 R'");
+});
+
+test('bad text is reported with its position', ()=>{
+  assert.throws(()=>parseAlgorithm('R Q', 3), /position 3/);
+  assert.throws(()=>parseAlgorithm('4R', 3));
+  assert.throws(()=>parseAlgorithm('(R U', 3));
+});
+
+test('cuboids: quarter turns of layers that are not square are rejected', ()=>{
+  assert.equal(parseAlgorithm("U R2 F2", [2, 3, 2]).length, 3);
+  assert.throws(()=>parseAlgorithm('R', [2, 3, 2]));
+});
@@ -0,0 +1,47 @@
+// ==========================
+// Solver: scrambles of every kind of solver come back solved, bad states are explained
+// ==========================
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { CubeModel } from '../cube-model.js';
+import { parseAlgorithm } from '../notation.js';
+import { solveModel } from '../solver/index.js';
+import { validateFacelets, colorScheme } from '../solver/validate.js';
+
+test('2x2, 3x3 and 4x4 scrambles are solved', ()=>{
+  for(const N of [2, 3, 4]){
+    const model = new CubeModel(N).applyMoves(parseAlgorithm("R U' F2 L D' B R2 U", N));
+    assert.ok(model.applyMoves(solveModel(model)).isSolved(), 'size '+N);
+  }
+  assert.deepEqual(solveModel(new CubeModel(3)), []);
+});
+
+test('a twisted corner is found, and cuboids are not solved', ()=>{
+  const facelets = new CubeModel(3).toFaceletString().split('');
+  [facelets[8], facelets[9], facelets[20]] = [facelets[9], facelets[20], facelets[8]];
+  assert.ok(validateFacelets(facelets.join(''), 3).length>0);
+  assert.throws(()=>solveModel(CubeModel.fromFaceletString(facelets.join(''))), /Unsolvable/);
+  assert.throws(()=>solveModel(new CubeModel([2, 3, 2])), /NxNxN/);
+});
+
+test('a shorter history is undone instead, a history that does not lead to the state is ignored', ()=>{
+  const history = parseAlgorithm("2R 3U' 2F D", 5);
+  const model = new CubeModel(5).applyMoves(history);
+  const moves = solveModel(model, history);
+  assert.deepEqual(moves.map(m=>[m.face, m.layer, m.turns]), [['D',0,-1], ['F',3,-1], ['U',2,1], ['R',3,-1]]);
+  const other = solveModel(model, parseAlgorithm("2R 3U' 2F", 5));
+  assert.ok(other.length>4 && model.clone().applyMoves(other).isSolved());
+});
+
+test('the solver and the validator read the same color scheme, also on a turned cube', ()=>{
+  for(const N of [4, 5]){
+    const model = new CubeModel(N).applyMoves(parseAlgorithm("x y' R U' 2F", N));
+    const { scheme, problem } = colorScheme(model.toFaceletString(), N);
+    assert.equal(problem, null);
+    assert.deepEqual([scheme.U, scheme.F], ['F', 'L'], 'size '+N);
+    assert.ok(model.applyMoves(solveModel(model)).isSolved(), 'size '+N);
+  }
+  const mirrored = new CubeModel(3).toFaceletString().replace(/[UD]/g, c=>c==='U' ? 'D' : 'U');
+  assert.match(colorScheme(mirrored, 3).problem, /mirror image/);
+});
@@ -0,0 +1,35 @@
+// ==========================
+// Timer statistics: penalties, WCA means and averages, time formatting
+// ==========================
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { solveTime, meanOf, averageOf, sessionStats, formatTime } from '../timer.js';
+
+const solves = times=>times.map(t=>t==='DNF' ? { time:10000, penalty:'DNF' } : { time:t, penalty:null });
+
+test('penalties add two seconds or make a DNF', ()=>{
+  assert.equal(solveTime({ time:9000, penalty:'+2' }), 11000);
+  assert.equal(solveTime({ time:9000, penalty:'DNF' }), Infinity);
+});
+
+test('averages drop the best and the worst, a DNF counts as the worst', ()=>{
+  assert.equal(averageOf(solves([10000, 12000, 8000, 11000, 20000]), 5), 11000);
+  assert.equal(averageOf(solves([10000, 12000, 8000, 11000, 'DNF']), 5), 11000);
+  assert.equal(averageOf(solves([10000, 12000, 8000, 'DNF', 'DNF']), 5), Infinity);
+  assert.equal(averageOf(solves([10000, 12000]), 5), null);
+  assert.equal(meanOf(solves([9000, 10000, 11000]), 3), 10000);
+  assert.equal(meanOf(solves([9000, 10000, 'DNF']), 3), Infinity);
+});
+
+test('session stats cover the whole session', ()=>{
+  const stats = sessionStats(solves([9000, 'DNF', 11000]));
+  assert.deepEqual([stats.count, stats.best, stats.worst, stats.mo3, stats.ao5], [3, 9000, Infinity, Infinity, null]);
+});
+
+test('times read as seconds, minutes from 60 s', ()=>{
+  assert.equal(formatTime(12345), '12.34');
+  assert.equal(formatTime(62340), '1:02.34');
+  assert.equal(formatTime(Infinity), 'DNF');
+  assert.equal(formatTime(null), '-');
+});
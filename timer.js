@@ -0,0 +1,172 @@
+// ==========================
+// Speedsolve timer: WCA inspection, penalties and session statistics
+// Headless: the app reports turns and solves, and redraws from subscribe().
+// Sessions are kept per cube size (and per cuboid) in localStorage (when available).
+// ==========================
+
+import { sizeLabel } from './cube-model.js';
+
+export const INSPECTION_MS = 15000;
+export const INSPECTION_LIMIT_MS = 17000; // inspection over 15 s is +2, over 17 s a DNF
+const STORAGE_PREFIX = 'rubik-timer-';
+
+// time of a solve with its penalty applied; DNF is Infinity
+export function solveTime(solve){
+  if(solve.penalty==='DNF') return Infinity;
+  return solve.time + (solve.penalty==='+2' ? 2000 : 0);
+}
+
+// Mean of the last n solves (any DNF makes it a DNF); null when there are fewer than n
+export function meanOf(solves, n){
+  if(solves.length<n) return null;
+  const times = solves.slice(-n).map(solveTime);
+  return times.reduce((a,b)=>a+b, 0)/n;
+}
+
+// WCA average of the last n solves: best and worst dropped, a DNF counts as the worst,
+// two DNFs make the average a DNF; null when there are fewer than n
+export function averageOf(solves, n){
+  if(solves.length<n) return null;
+  const times = solves.slice(-n).map(solveTime).sort((a,b)=>a-b);
+  const kept = times.slice(1, -1);
+  return kept.reduce((a,b)=>a+b, 0)/kept.length;
+}
+
+export function sessionStats(solves){
+  const times = solves.map(solveTime);
+  return {
+    count: solves.length,
+    best: times.length ? Math.min(...times) : null,
+    worst: times.length ? Math.max(...times) : null,
+    mo3: meanOf(solves, 3),
+    ao5: averageOf(solves, 5),
+    ao12: averageOf(solves, 12)
+  };
+}
+
+// 12.34, 1:02.34 or DNF; '-' for a missing value
+export function formatTime(ms){
+  if(ms===null || ms===undefined) return '-';
+  if(ms===Infinity) return 'DNF';
+  const cs = Math.floor(ms/10);
+  const minutes = Math.floor(cs/6000), seconds = (cs%6000)/100;
+  return minutes ? minutes+':'+seconds.toFixed(2).padStart(5, '0') : seconds.toFixed(2);
+}
+
+export class SpeedTimer {
+  #listeners = new Set();
+  #dnfTimeout = null;
+
+  constructor(N=3, storage=globalThis.localStorage){
+    this.storage = storage || null;
+    this.state = 'idle'; // idle | inspecting | running
+    this.inspectionStart = 0;
+    this.start = 0;
+    this.penalty = '';
+    this.scramble = '';
+    this.setSize(N);
+  }
+
+  // switch to the session of another cube size or cuboid (cancels an attempt in progress)
+  setSize(N){
+    this.cancel();
+    this.N = N;
+    this.solves = this.#load();
+    this.#emit();
+  }
+
+  // The cube has been scrambled: start the 15 s inspection
+  startInspection(scramble='', now=performance.now()){
+    this.cancel();
+    this.state = 'inspecting';
+    this.inspectionStart = now;
+    this.scramble = scramble;
+    this.#dnfTimeout = setTimeout(()=>this.#finish(INSPECTION_LIMIT_MS, 'DNF'), INSPECTION_LIMIT_MS);
+    this.#emit();
+  }
+
+  // A turn was made; the first one ends inspection and starts the clock
+  turn(now=performance.now()){
+    if(this.state!=='inspecting') return;
+    clearTimeout(this.#dnfTimeout);
+    const inspected = now - this.inspectionStart;
+    this.penalty = inspected>INSPECTION_LIMIT_MS ? 'DNF' : inspected>INSPECTION_MS ? '+2' : '';
+    this.state = 'running';
+    this.start = now;
+    this.#emit();
+  }
+
+  // The cube reached a solved state
+  solved(now=performance.now()){
+    if(this.state==='running') this.#finish(now - this.start, this.penalty);
+  }
+
+  cancel(){
+    clearTimeout(this.#dnfTimeout);
+    if(this.state==='idle') return;
+    this.state = 'idle';
+    this.#emit();
+  }
+
+  // milliseconds shown on the clock: inspection left (counting down) or solve time so far
+  elapsed(now=performance.now()){
+    if(this.state==='inspecting') return INSPECTION_MS - (now - this.inspectionStart);
+    if(this.state==='running') return now - this.start;
+    return 0;
+  }
+
+  // penalty of solve i: '', '+2' or 'DNF'
+  setPenalty(i, penalty){
+    if(!this.solves[i]) return;
+    this.solves[i].penalty = penalty;
+    this.#save();
+    this.#emit();
+  }
+
+  remove(i){
+    this.solves.splice(i, 1);
+    this.#save();
+    this.#emit();
+  }
+
+  clearSession(){
+    this.solves = [];
+    this.#save();
+    this.#emit();
+  }
+
+  stats(){ return sessionStats(this.solves); }
+
+  // Listen for state and session changes; returns an unsubscribe function
+  subscribe(fn){
+    this.#listeners.add(fn);
+    return ()=>this.#listeners.delete(fn);
+  }
+
+  #finish(time, penalty){
+    clearTimeout(this.#dnfTimeout);
+    this.solves.push({ time:Math.round(time), penalty, scramble:this.scramble, date:Date.now() });
+    this.state = 'idle';
+    this.#save();
+    this.#emit();
+  }
+
+  #load(){
+    try{
+      const saved = this.storage && JSON.parse(this.storage.getItem(this.#storageKey()));
+      return Array.isArray(saved) ? saved : [];
+    }catch(e){ return []; }
+  }
+
+  #save(){
+    try{ if(this.storage) this.storage.setItem(this.#storageKey(), JSON.stringify(this.solves)); }
+    catch(e){ /* storage full or disabled: keep the session in memory */ }
+  }
+
+  // rubik-timer-3 for a 3x3, rubik-timer-2x2x3 for a cuboid
+  #storageKey(){ return STORAGE_PREFIX+(Array.isArray(this.N) ? sizeLabel(this.N) : this.N); }
+
+  #emit(){
+    for(const fn of this.#listeners) fn(this);
+  }
+}
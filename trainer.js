@@ -0,0 +1,229 @@
+// ==========================
+// Algorithm trainer: drill the cases of a set (OLL, PLL, F2L or an imported list) on a 3x3
+// The trainer picks a random case and gives the app the moves that set it up (the inverse of the
+// case's algorithm, between random turns of the U face); the algorithm stays hidden. The first turn
+// starts the clock, and the attempt is done when the cube reaches the set's goal (see case-sets.js).
+// Giving up or showing the algorithm counts as a miss. Per-case accuracy and times, and imported
+// sets, are kept in localStorage (when available). Headless: the app redraws from subscribe().
+// ==========================
+
+import { CubeModel, FACE_ORDER, faceletToCubie } from './cube-model.js';
+import { parseAlgorithm, invertMoves } from './notation.js';
+import { CASE_SETS } from './case-sets.js';
+
+const STATS_KEY = 'rubik-trainer';
+const SETS_KEY = 'rubik-trainer-sets';
+const KEPT_TIMES = 12; // successful times kept per case
+export const TRAINER_N = 3;
+
+// the 24 whole-cube rotations, as move text
+const ROTATIONS = ['', 'x', 'x2', "x'", 'z', "z'"].flatMap(a=>['', 'y', 'y2', "y'"].map(b=>a+' '+b));
+
+// copy of the model turned so that its centers are on their home faces (odd N; even N is left as it is),
+// so the goals hold however the cube was rotated during the attempt
+function homeOriented(model){
+  const N = model.N, n = N*N, center = (n-1)/2;
+  if(N%2===0) return model.clone();
+  for(const r of ROTATIONS){
+    const turned = model.clone().applyMoves(parseAlgorithm(r, N));
+    if(FACE_ORDER.every((f, i)=>turned.facelets[i*n+center]===i)) return turned;
+  }
+  return model.clone();
+}
+
+// Does the cube show the goal of a case set: 'f2l', 'oll' or 'solved' (up to a turn of the U face)
+export function reachedGoal(model, goal){
+  const cube = homeOriented(model);
+  const N = cube.N, n = N*N, state = cube.facelets;
+  if(goal==='solved'){
+    for(let k=0;k<4;k++){
+      if(state.every((c, i)=>c===Math.floor(i/n))) return true;
+      cube.applyMove({ face:'U', layer:N-1, turns:1 });
+    }
+    return false;
+  }
+  let i = 0;
+  for(const [fi, f] of FACE_ORDER.entries()) for(let row=0;row<N;row++) for(let col=0;col<N;col++, i++){
+    // stickers of the U layer only count for OLL, and then only those on the U face
+    const top = faceletToCubie(N, f, row, col)[1]===N-1;
+    if(top && !(goal==='oll' && f==='U')) continue;
+    if(state[i]!==fi) return false;
+  }
+  return true;
+}
+
+// Cases of an imported list: one per line, "name: algorithm" or just the algorithm (then named by its
+// place in the list). Imported cases are drilled to a solved cube. Throws an Error naming the bad line
+export function parseCaseList(text){
+  const list = [];
+  String(text).split('\n').forEach((line, i)=>{
+    if(!line.replace(/\/\/.*/, '').trim()) return;
+    const colon = line.indexOf(':');
+    const name = colon>=0 ? line.slice(0, colon).trim() : 'Case '+(list.length+1);
+    const alg = (colon>=0 ? line.slice(colon+1) : line).trim();
+    const where = 'Line '+(i+1)+': ';
+    if(!name) throw new Error(where+'the case has no name');
+    if(list.some(c=>c.name===name)) throw new Error(where+'there is already a case named "'+name+'"');
+    let moves;
+    try{ moves = parseAlgorithm(alg, TRAINER_N); }
+    catch(e){ throw new Error(where+e.message); }
+    if(reachedGoal(new CubeModel(TRAINER_N).applyMoves(invertMoves(moves)), 'solved')) throw new Error(where+'"'+name+'" only turns the U face or the whole cube, there is nothing to solve');
+    list.push({ name, alg });
+  });
+  if(!list.length) throw new Error('The list has no cases: write one algorithm per line, optionally "name: algorithm"');
+  return list;
+}
+
+export class AlgTrainer {
+  #listeners = new Set();
+
+  constructor(storage=globalThis.localStorage, random=Math.random){
+    this.storage = storage || null;
+    this.random = random;
+    this.customSets = this.#load(SETS_KEY);
+    this.stats = this.#load(STATS_KEY); // set key -> case name -> {attempts, solved, times, best}
+    this.setKey = 'oll';
+    this.state = 'idle'; // idle | ready (case set up, waiting for the first turn) | running
+    this.current = null; // the case being drilled {name, alg}
+    this.start = 0;
+    this.revealed = false;
+    this.last = null; // how the last attempt ended {name, ok, time}
+  }
+
+  // built-in and imported sets by key
+  get sets(){ return { ...CASE_SETS, ...this.customSets }; }
+  get set(){ return this.sets[this.setKey]; }
+
+  selectSet(key){
+    if(!this.sets[key]) return;
+    this.cancel();
+    this.setKey = key;
+    this.current = null;
+    this.last = null;
+    this.#emit();
+  }
+
+  // Pick a random case (not the one just drilled, when the set has others) and return the moves that
+  // set it up on a solved cube. Skipping a case after turning counts as a miss
+  next(){
+    if(this.state==='running') this.#finish(false);
+    const cases = this.set.cases;
+    const others = cases.length>1 ? cases.filter(c=>c!==this.current) : cases;
+    const next = others[Math.floor(this.random()*others.length)];
+    const auf = ()=>({ face:'U', layer:TRAINER_N-1, turns:Math.floor(this.random()*4) });
+    const setup = [auf(), ...invertMoves(parseAlgorithm(next.alg, TRAINER_N)), auf()];
+    this.current = next;
+    this.state = 'ready';
+    this.revealed = false;
+    this.#emit();
+    return setup.filter(m=>m.turns!==0);
+  }
+
+  // A turn was made; the first one of an attempt starts the clock
+  turn(now=performance.now()){
+    if(this.state!=='ready') return;
+    this.state = 'running';
+    this.start = now;
+    this.#emit();
+  }
+
+  // After each turn: ends the attempt when the cube shows the set's goal. Returns whether it did
+  check(model, now=performance.now()){
+    if(this.state!=='running' || !reachedGoal(model, this.set.goal)) return false;
+    this.#finish(true, now-this.start);
+    return true;
+  }
+
+  // Show the algorithm; the attempt in progress counts as a miss
+  reveal(){
+    if(this.state!=='idle') this.#finish(false);
+    this.state = 'idle';
+    this.revealed = true;
+    this.#emit();
+  }
+
+  // Stop the attempt without scoring it (the cube was changed some other way)
+  cancel(){
+    if(this.state==='idle') return;
+    this.state = 'idle';
+    this.#emit();
+  }
+
+  // milliseconds on the clock
+  elapsed(now=performance.now()){
+    return this.state==='running' ? now-this.start : 0;
+  }
+
+  // {attempts, solved, accuracy (0..1 or null), best, mean (of the kept times)} of a case
+  caseStats(name, setKey=this.setKey){
+    const s = this.stats[setKey]?.[name] || { attempts:0, solved:0, times:[], best:null };
+    const mean = s.times.length ? s.times.reduce((a, b)=>a+b, 0)/s.times.length : null;
+    return { attempts:s.attempts, solved:s.solved, accuracy:s.attempts ? s.solved/s.attempts : null, best:s.best, mean };
+  }
+
+  clearStats(setKey=this.setKey){
+    delete this.stats[setKey];
+    this.#save(STATS_KEY, this.stats);
+    this.#emit();
+  }
+
+  // Add (or replace) a set from a case list (see parseCaseList); returns its key
+  importSet(label, text){
+    const name = String(label).trim();
+    if(!name) throw new Error('Give the case list a name');
+    const cases = parseCaseList(text);
+    const key = 'custom:'+name;
+    this.customSets[key] = { label:name+' ('+cases.length+')', goal:'solved', cases, custom:true };
+    this.#save(SETS_KEY, this.customSets);
+    this.selectSet(key);
+    return key;
+  }
+
+  removeSet(key){
+    if(!this.customSets[key]) return;
+    delete this.customSets[key];
+    delete this.stats[key];
+    this.#save(SETS_KEY, this.customSets);
+    this.#save(STATS_KEY, this.stats);
+    if(this.setKey===key) this.selectSet('oll');
+    else this.#emit();
+  }
+
+  // Listen for attempt and statistics changes; returns an unsubscribe function
+  subscribe(fn){
+    this.#listeners.add(fn);
+    return ()=>this.#listeners.delete(fn);
+  }
+
+  #finish(ok, time=null){
+    const name = this.current.name;
+    const setStats = this.stats[this.setKey] ||= {};
+    const s = setStats[name] ||= { attempts:0, solved:0, times:[], best:null };
+    s.attempts++;
+    if(ok){
+      s.solved++;
+      s.times = [...s.times, Math.round(time)].slice(-KEPT_TIMES);
+      s.best = s.best===null ? Math.round(time) : Math.min(s.best, Math.round(time));
+    }
+    this.last = { name, ok, time:ok ? Math.round(time) : null };
+    this.state = 'idle';
+    this.#save(STATS_KEY, this.stats);
+    this.#emit();
+  }
+
+  #load(key){
+    try{
+      const saved = this.storage && JSON.parse(this.storage.getItem(key));
+      return saved && typeof saved==='object' && !Array.isArray(saved) ? saved : {};
+    }catch(e){ return {}; }
+  }
+
+  #save(key, value){
+    try{ if(this.storage) this.storage.setItem(key, JSON.stringify(value)); }
+    catch(e){ /* storage full or disabled: keep it for this visit */ }
+  }
+
+  #emit(){
+    for(const fn of this.#listeners) fn(this);
+  }
+}